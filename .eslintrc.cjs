@@ -50,6 +50,8 @@ module.exports = {
       },
       rules: {
         "react/no-unknown-property": ["error", { ignore: ["variant"] }],
+        // Components are plain JavaScript without PropTypes.
+        "react/prop-types": "off",
       },
     },
 
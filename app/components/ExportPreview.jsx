@@ -0,0 +1,134 @@
+import { FileSummary } from "./FileSummary";
+import { IssuesTable } from "./ValidationIssues";
+import { describeInput } from "../utils/input-format";
+
+const RULE_LABELS = {
+  prefix: "Starts with",
+  exact: "Exact name",
+  regex: "Matches",
+  metafield: "Metafield not selected",
+};
+
+// Dry-run summary of an export: what happens to the headers and rows before
+// the file is generated.
+export function ExportPreview({ preview, loading, onConfirm, onCancel }) {
+  return (
+    <s-section heading="Preview">
+      <s-stack gap="base">
+        <s-paragraph>
+          {preview.rowCount} of {preview.inputRowCount} rows will be exported
+          with {preview.headers.length} of {preview.originalHeaders.length}{" "}
+          columns.
+        </s-paragraph>
+        {preview.deletedSkuCount !== undefined && (
+          <s-paragraph>
+            {preview.deletedSkuCount} deleted SKUs will be listed in a separate
+            file.
+          </s-paragraph>
+        )}
+        {preview.missingTranslationCount > 0 && (
+          <s-paragraph>
+            {preview.missingTranslationCount} products are missing translations
+            and will use the primary language.
+          </s-paragraph>
+        )}
+        {preview.files && <FileSummary files={preview.files} />}
+        {preview.input && (
+          <s-paragraph>
+            <s-text type="strong">Detected: </s-text>
+            {describeInput(preview.input)}
+          </s-paragraph>
+        )}
+
+        <s-heading>Headers</s-heading>
+        <s-paragraph>
+          <s-text type="strong">Original: </s-text>
+          {preview.originalHeaders.join(", ")}
+        </s-paragraph>
+        <s-paragraph>
+          <s-text type="strong">Result: </s-text>
+          {preview.headers.join(", ")}
+        </s-paragraph>
+
+        <s-heading>Removed columns ({preview.removedColumns.length})</s-heading>
+        {preview.removedColumns.length > 0 && (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header listSlot="primary">Column</s-table-header>
+              <s-table-header>Rule</s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {preview.removedColumns.map((column) => (
+                <s-table-row key={column.index}>
+                  <s-table-cell>{column.header}</s-table-cell>
+                  <s-table-cell>
+                    {RULE_LABELS[column.rule.type]} “{column.rule.value}”
+                  </s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+
+        <s-heading>Dropped rows ({preview.droppedRowCount})</s-heading>
+        {preview.droppedRows.length > 0 && (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header listSlot="primary" format="numeric">
+                Row
+              </s-table-header>
+              {preview.files && <s-table-header>File</s-table-header>}
+              <s-table-header>Handle</s-table-header>
+              <s-table-header>Reason</s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {preview.droppedRows.map((row, index) => (
+                <s-table-row key={index}>
+                  <s-table-cell>{row.rowNumber}</s-table-cell>
+                  {preview.files && <s-table-cell>{row.file}</s-table-cell>}
+                  <s-table-cell>{row.handle}</s-table-cell>
+                  <s-table-cell>{row.reason}</s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+
+        <s-heading>
+          Validation issues ({preview.issueCounts.error} errors,{" "}
+          {preview.issueCounts.warning} warnings)
+        </s-heading>
+        {preview.issues.length > 0 && <IssuesTable issues={preview.issues} />}
+
+        <s-heading>First {preview.rows.length} rows</s-heading>
+        <s-table>
+          <s-table-header-row>
+            {preview.headers.map((header, index) => (
+              <s-table-header key={index}>{header}</s-table-header>
+            ))}
+          </s-table-header-row>
+          <s-table-body>
+            {preview.rows.map((row, rowIndex) => (
+              <s-table-row key={rowIndex}>
+                {preview.headers.map((_, index) => (
+                  <s-table-cell key={index}>
+                    {String(row[index] ?? "")}
+                  </s-table-cell>
+                ))}
+              </s-table-row>
+            ))}
+          </s-table-body>
+        </s-table>
+
+        <s-stack direction="inline" gap="base">
+          <s-button variant="primary" onClick={onConfirm} loading={loading}>
+            Confirm export
+          </s-button>
+          <s-button onClick={onCancel} disabled={loading}>
+            Cancel
+          </s-button>
+        </s-stack>
+      </s-stack>
+    </s-section>
+  );
+}
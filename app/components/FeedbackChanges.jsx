@@ -0,0 +1,53 @@
+import { FEEDBACK_STATUSES } from "../../scripts/feedback-import";
+
+const STATUS_TONES = {
+  change: "info",
+  invalid: "critical",
+  duplicate: "warning",
+  "not-found": "warning",
+  stale: "warning",
+  applied: "success",
+  failed: "critical",
+};
+
+function Change({ change }) {
+  return change ? `${change.from} → ${change.to}` : "—";
+}
+
+// Per-row diff of a feedback import: what changes, or changed, for each SKU.
+export function FeedbackChanges({ rows }) {
+  return (
+    <s-table>
+      <s-table-header-row>
+        <s-table-header listSlot="primary" format="numeric">
+          Row
+        </s-table-header>
+        <s-table-header>SKU</s-table-header>
+        <s-table-header>Status</s-table-header>
+        <s-table-header>Price</s-table-header>
+        <s-table-header>Available</s-table-header>
+        <s-table-header>Message</s-table-header>
+      </s-table-header-row>
+      <s-table-body>
+        {rows.map((row) => (
+          <s-table-row key={row.rowNumber}>
+            <s-table-cell>{row.rowNumber}</s-table-cell>
+            <s-table-cell>{row.sku}</s-table-cell>
+            <s-table-cell>
+              <s-badge tone={STATUS_TONES[row.status]}>
+                {FEEDBACK_STATUSES[row.status]}
+              </s-badge>
+            </s-table-cell>
+            <s-table-cell>
+              <Change change={row.price} />
+            </s-table-cell>
+            <s-table-cell>
+              <Change change={row.quantity} />
+            </s-table-cell>
+            <s-table-cell>{row.message}</s-table-cell>
+          </s-table-row>
+        ))}
+      </s-table-body>
+    </s-table>
+  );
+}
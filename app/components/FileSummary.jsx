@@ -0,0 +1,41 @@
+// Rows kept and dropped per file when several files are exported at once.
+export function FileSummary({ files }) {
+  return (
+    <s-table>
+      <s-table-header-row>
+        <s-table-header listSlot="primary">File</s-table-header>
+        <s-table-header format="numeric">Rows</s-table-header>
+        <s-table-header format="numeric">Kept</s-table-header>
+        <s-table-header format="numeric">Duplicates</s-table-header>
+        <s-table-header format="numeric">Dropped</s-table-header>
+        <s-table-header>Output</s-table-header>
+      </s-table-header-row>
+      <s-table-body>
+        {files.map((file, index) => (
+          <s-table-row key={index}>
+            <s-table-cell>{file.filename}</s-table-cell>
+            {file.error ? (
+              <>
+                <s-table-cell />
+                <s-table-cell />
+                <s-table-cell />
+                <s-table-cell />
+                <s-table-cell>
+                  <s-badge tone="critical">{file.error}</s-badge>
+                </s-table-cell>
+              </>
+            ) : (
+              <>
+                <s-table-cell>{file.inputRowCount}</s-table-cell>
+                <s-table-cell>{file.rowCount}</s-table-cell>
+                <s-table-cell>{file.duplicateRowCount}</s-table-cell>
+                <s-table-cell>{file.droppedRowCount}</s-table-cell>
+                <s-table-cell>{file.outputFilename || "—"}</s-table-cell>
+              </>
+            )}
+          </s-table-row>
+        ))}
+      </s-table-body>
+    </s-table>
+  );
+}
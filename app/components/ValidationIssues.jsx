@@ -0,0 +1,71 @@
+// Issues found while validating the rows of the last export.
+export function ValidationIssues({
+  issues,
+  counts,
+  onDownloadIssues,
+  onDownloadExport,
+}) {
+  const total = counts.error + counts.warning;
+
+  return (
+    <s-section heading="Validation">
+      <s-stack gap="base">
+        {total === 0 ? (
+          <s-banner tone="success">No issues found.</s-banner>
+        ) : (
+          <s-banner tone={counts.error > 0 ? "critical" : "warning"}>
+            {counts.error} errors and {counts.warning} warnings found.
+            {issues.length < total && ` Showing the first ${issues.length}.`}
+          </s-banner>
+        )}
+
+        {issues.length > 0 && <IssuesTable issues={issues} />}
+
+        <s-stack direction="inline" gap="base">
+          <s-button onClick={onDownloadExport}>Download export</s-button>
+          {onDownloadIssues && (
+            <s-button onClick={onDownloadIssues}>Download issues.csv</s-button>
+          )}
+        </s-stack>
+      </s-stack>
+    </s-section>
+  );
+}
+
+export function IssuesTable({ issues }) {
+  // Issues of several merged or zipped files also name the file
+  const withFile = issues.some((issue) => issue.file);
+
+  return (
+    <s-table>
+      <s-table-header-row>
+        <s-table-header listSlot="primary" format="numeric">
+          Row
+        </s-table-header>
+        {withFile && <s-table-header>File</s-table-header>}
+        <s-table-header>Handle</s-table-header>
+        <s-table-header>Column</s-table-header>
+        <s-table-header>Severity</s-table-header>
+        <s-table-header>Message</s-table-header>
+      </s-table-header-row>
+      <s-table-body>
+        {issues.map((issue, index) => (
+          <s-table-row key={index}>
+            <s-table-cell>{issue.rowNumber}</s-table-cell>
+            {withFile && <s-table-cell>{issue.file}</s-table-cell>}
+            <s-table-cell>{issue.handle}</s-table-cell>
+            <s-table-cell>{issue.column}</s-table-cell>
+            <s-table-cell>
+              <s-badge
+                tone={issue.severity === "error" ? "critical" : "warning"}
+              >
+                {issue.severity}
+              </s-badge>
+            </s-table-cell>
+            <s-table-cell>{issue.message}</s-table-cell>
+          </s-table-row>
+        ))}
+      </s-table-body>
+    </s-table>
+  );
+}
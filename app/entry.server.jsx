@@ -4,9 +4,14 @@ import { ServerRouter } from "react-router";
 import { createReadableStreamFromReadable } from "@react-router/node";
 import { isbot } from "isbot";
 import { addDocumentResponseHeaders } from "./shopify.server";
+import { startExportScheduler } from "./scheduler.server";
+import { startExportWorker } from "./worker.server";
 
 export const streamTimeout = 5000;
 
+startExportScheduler();
+startExportWorker();
+
 export default async function handleRequest(
   request,
   responseStatusCode,
@@ -0,0 +1,13 @@
+import crypto from "node:crypto";
+import { logger } from "../scripts/logger";
+
+// Logger for one request. Its lines carry the request ID, Shopify's
+// X-Request-Id when there is one, and the given context such as the shop.
+export function requestLogger(request, fields = {}) {
+  return logger.child({
+    requestId: request.headers.get("x-request-id") || crypto.randomUUID(),
+    ...fields,
+  });
+}
+
+export { logger };
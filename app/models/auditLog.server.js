@@ -0,0 +1,27 @@
+import db from "../db.server";
+import { logger } from "../logger.server";
+
+const PAGE_SIZE = 100;
+
+// Record what a staff member (see staffFromContext) did: an `action` of
+// "export", "import" or "settings" with a one-line `summary`. The event is
+// logged to `log` as well.
+export async function recordAuditEvent(
+  shop,
+  { userId, userName, action, summary },
+  log = logger,
+) {
+  log.info("Audit event", { shop, userId, action, summary });
+
+  return db.auditEvent.create({
+    data: { shop, userId, userName, action, summary },
+  });
+}
+
+export async function getAuditEvents(shop, { action } = {}) {
+  return db.auditEvent.findMany({
+    where: { shop, ...(action ? { action } : {}) },
+    orderBy: { createdAt: "desc" },
+    take: PAGE_SIZE,
+  });
+}
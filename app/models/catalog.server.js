@@ -0,0 +1,189 @@
+import { catalogToRows, parseBulkJsonl } from "../../scripts/catalog-rows";
+
+// `search` narrows the products with Shopify's search syntax, e.g.
+// updated_at:>'2026-10-19T00:00:00Z'.
+const catalogQuery = (search) => `#graphql
+  {
+    products${search ? `(query: ${JSON.stringify(search)})` : ""} {
+      edges {
+        node {
+          id
+          handle
+          title
+          descriptionHtml
+          vendor
+          productType
+          tags
+          status
+          publishedAt
+          isGiftCard
+          category {
+            fullName
+          }
+          seo {
+            title
+            description
+          }
+          options {
+            name
+            position
+          }
+          media {
+            edges {
+              node {
+                ... on MediaImage {
+                  id
+                  image {
+                    url
+                    altText
+                  }
+                }
+              }
+            }
+          }
+          variants {
+            edges {
+              node {
+                id
+                sku
+                barcode
+                price
+                compareAtPrice
+                inventoryQuantity
+                inventoryPolicy
+                taxable
+                selectedOptions {
+                  name
+                  value
+                }
+                image {
+                  url
+                }
+                inventoryItem {
+                  tracked
+                  requiresShipping
+                  unitCost {
+                    amount
+                  }
+                  measurement {
+                    weight {
+                      unit
+                      value
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Start a bulk operation over the whole product catalog. Shopify runs one
+// bulk query per shop at a time, so a running export is reported back as a
+// user error.
+export async function startCatalogBulkOperation(admin, { search } = {}) {
+  const response = await admin.graphql(
+    `#graphql
+      mutation runCatalogExport($query: String!) {
+        bulkOperationRunQuery(query: $query) {
+          bulkOperation {
+            id
+            status
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+    { variables: { query: catalogQuery(search) } },
+  );
+  const {
+    data: { bulkOperationRunQuery },
+  } = await response.json();
+
+  if (bulkOperationRunQuery.userErrors.length) {
+    return {
+      error: bulkOperationRunQuery.userErrors
+        .map((error) => error.message)
+        .join(", "),
+    };
+  }
+
+  return { bulkOperation: bulkOperationRunQuery.bulkOperation };
+}
+
+export async function getBulkOperation(admin, id) {
+  const response = await admin.graphql(
+    `#graphql
+      query catalogExportStatus($id: ID!) {
+        node(id: $id) {
+          ... on BulkOperation {
+            id
+            status
+            errorCode
+            objectCount
+            createdAt
+            url
+          }
+        }
+      }`,
+    { variables: { id } },
+  );
+  const {
+    data: { node },
+  } = await response.json();
+
+  return node;
+}
+
+// Download the finished bulk operation result and turn it into rows with
+// the same layout as a Shopify product CSV export.
+export async function fetchCatalogRows(url) {
+  // An empty catalog finishes without a result file.
+  if (!url) {
+    return catalogToRows([]);
+  }
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not download catalog: ${response.status}`);
+  }
+
+  return catalogToRows(parseBulkJsonl(await response.text()));
+}
+
+const BULK_POLL_INTERVAL_MS = 10 * 1000;
+const BULK_TIMEOUT_MS = 60 * 60 * 1000;
+
+// Run a catalog bulk operation to completion and return its rows. For
+// background work; the export page polls from the browser instead.
+export async function fetchCatalog(admin) {
+  const { bulkOperation, error } = await startCatalogBulkOperation(admin);
+  if (error) {
+    throw new Error(error);
+  }
+
+  const deadline = Date.now() + BULK_TIMEOUT_MS;
+  let operation = bulkOperation;
+  while (["CREATED", "RUNNING"].includes(operation?.status)) {
+    if (Date.now() > deadline) {
+      throw new Error("Store export timed out");
+    }
+    await new Promise((resolve) => setTimeout(resolve, BULK_POLL_INTERVAL_MS));
+    operation = await getBulkOperation(admin, bulkOperation.id);
+  }
+
+  if (operation?.status !== "COMPLETED") {
+    throw new Error(
+      `Store export ${String(
+        operation?.errorCode || operation?.status || "failed",
+      ).toLowerCase()}`,
+    );
+  }
+
+  return fetchCatalogRows(operation.url);
+}
@@ -0,0 +1,129 @@
+import fs from "node:fs";
+import path from "node:path";
+import SftpClient from "ssh2-sftp-client";
+
+// Scheduled exports can only be written below this directory, typically a
+// mounted network share.
+const DELIVERY_DIR = process.env.EXPORT_DELIVERY_DIR;
+
+const HTTP_TIMEOUT_MS = 60 * 1000;
+
+// Settings that are never sent back to the browser.
+export const SECRET_FIELDS = ["password", "privateKey", "authorization"];
+
+async function deliverToDirectory(config, { filename, buffer }) {
+  if (!DELIVERY_DIR) {
+    throw new Error("EXPORT_DELIVERY_DIR is not configured");
+  }
+
+  const root = path.resolve(DELIVERY_DIR);
+  const directory = path.resolve(root, config.path || ".");
+  if (directory !== root && !directory.startsWith(root + path.sep)) {
+    throw new Error("Directory must be inside the delivery directory");
+  }
+
+  await fs.promises.mkdir(directory, { recursive: true });
+  const target = path.join(directory, filename);
+  await fs.promises.writeFile(target, buffer);
+
+  return target;
+}
+
+async function deliverToSftp(config, { filename, buffer }) {
+  const client = new SftpClient();
+  const directory = config.path || ".";
+  const target = path.posix.join(directory, filename);
+
+  try {
+    await client.connect({
+      host: config.host,
+      port: Number(config.port) || 22,
+      username: config.username,
+      password: config.password || undefined,
+      privateKey: config.privateKey || undefined,
+    });
+    if (!(await client.exists(directory))) {
+      await client.mkdir(directory, true);
+    }
+    await client.put(buffer, target);
+  } finally {
+    await client.end().catch(() => {});
+  }
+
+  return `sftp://${config.host}/${target.replace(/^\//, "")}`;
+}
+
+async function deliverToHttp(config, { filename, buffer, contentType }) {
+  const response = await fetch(config.url, {
+    method: "POST",
+    headers: {
+      "Content-Type": contentType,
+      "Content-Disposition": `attachment; filename*=UTF-8''${encodeURIComponent(filename)}`,
+      ...(config.authorization ? { Authorization: config.authorization } : {}),
+    },
+    body: buffer,
+    signal: AbortSignal.timeout(HTTP_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    throw new Error(`${config.url} answered ${response.status}`);
+  }
+
+  return config.url;
+}
+
+// Where a scheduled export can be delivered. `deliver` returns a
+// description of where the file went.
+export const DELIVERY_METHODS = {
+  directory: {
+    label: "Server directory",
+    deliver: deliverToDirectory,
+    validate: () =>
+      DELIVERY_DIR ? null : { path: "No delivery directory is configured" },
+  },
+  sftp: {
+    label: "SFTP",
+    deliver: deliverToSftp,
+    validate: (config) => {
+      const errors = {};
+      if (!config.host) errors.host = "Host is required";
+      if (!config.username) errors.username = "Username is required";
+      if (!config.password && !config.privateKey) {
+        errors.password = "Password or private key is required";
+      }
+      return Object.keys(errors).length ? errors : null;
+    },
+  },
+  http: {
+    label: "HTTP POST",
+    deliver: deliverToHttp,
+    validate: (config) => {
+      try {
+        if (new URL(config.url).protocol !== "https:") {
+          return { url: "URL must start with https://" };
+        }
+      } catch {
+        return { url: "URL is not valid" };
+      }
+      return null;
+    },
+  },
+};
+
+export function validateDelivery(type, config) {
+  const method = DELIVERY_METHODS[type];
+  if (!method) {
+    return { type: `Unknown delivery method: ${type}` };
+  }
+
+  return method.validate(config) || undefined;
+}
+
+export async function deliverExport(type, config, file) {
+  const method = DELIVERY_METHODS[type];
+  if (!method) {
+    throw new Error(`Unknown delivery method: ${type}`);
+  }
+
+  return method.deliver(config, file);
+}
@@ -0,0 +1,141 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { OUTPUT_FORMATS } from "../../scripts/output-formats";
+
+// Generated files live on disk in a directory per shop, under a random id,
+// next to a small JSON file holding the shop they belong to and how they
+// should be served. History
+// downloads and queued exports depend on them, so in production EXPORT_DIR
+// must be persistent storage; the temp directory only does for development.
+if (process.env.NODE_ENV === "production" && !process.env.EXPORT_DIR) {
+  throw new Error("EXPORT_DIR must be set to persistent storage in production");
+}
+
+const EXPORT_DIR =
+  process.env.EXPORT_DIR || path.join(os.tmpdir(), "goossens-exports");
+
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+// Shop domains, safe to use as a directory name
+const SHOP_PATTERN = /^[a-z0-9][a-z0-9.-]*$/i;
+
+const CONTENT_TYPES = {
+  ...Object.fromEntries(
+    Object.values(OUTPUT_FORMATS).map((format) => [
+      `.${format.extension}`,
+      format.contentType,
+    ]),
+  ),
+  // Several uploaded files exported one by one
+  ".zip": "application/zip",
+};
+
+export function contentTypeFor(filename) {
+  return (
+    CONTENT_TYPES[path.extname(filename).toLowerCase()] ||
+    "application/octet-stream"
+  );
+}
+
+function shopDir(shop) {
+  if (!SHOP_PATTERN.test(String(shop))) {
+    throw new Error(`Invalid shop: ${shop}`);
+  }
+  return path.join(EXPORT_DIR, shop);
+}
+
+function filePath(id, shop) {
+  return path.join(shopDir(shop), id);
+}
+
+function metaPath(id, shop) {
+  return path.join(shopDir(shop), `${id}.json`);
+}
+
+// Reserve an id for a new export file. Write the contents through
+// `createWriteStream`, then `commit` them under their download filename, or
+// `discard` them when the export failed.
+export async function createExportFile(shop) {
+  await fs.promises.mkdir(shopDir(shop), { recursive: true });
+
+  const id = crypto.randomUUID();
+
+  return {
+    id,
+    createWriteStream: () => fs.createWriteStream(filePath(id, shop)),
+    commit: async (filename) => {
+      const { size } = await fs.promises.stat(filePath(id, shop));
+      const meta = {
+        id,
+        shop,
+        filename,
+        contentType: contentTypeFor(filename),
+        size,
+        createdAt: new Date().toISOString(),
+      };
+      await fs.promises.writeFile(metaPath(id, shop), JSON.stringify(meta));
+      return meta;
+    },
+    discard: () => fs.promises.rm(filePath(id, shop), { force: true }),
+  };
+}
+
+export async function saveExportFile(shop, filename, buffer) {
+  const file = await createExportFile(shop);
+  await fs.promises.writeFile(filePath(file.id, shop), buffer);
+
+  return file.commit(filename);
+}
+
+export async function getExportFile(id, shop) {
+  if (!ID_PATTERN.test(String(id))) return null;
+
+  try {
+    const meta = JSON.parse(
+      await fs.promises.readFile(metaPath(id, shop), "utf-8"),
+    );
+    return meta.shop === shop ? meta : null;
+  } catch {
+    return null;
+  }
+}
+
+export function openExportFile(id, shop) {
+  return fs.createReadStream(filePath(id, shop));
+}
+
+export function readExportFile(id, shop) {
+  return fs.promises.readFile(filePath(id, shop));
+}
+
+export function exportDownloadUrl(id) {
+  return `/app/exports/${id}/download`;
+}
+
+export async function deleteExportFile(id, shop) {
+  if (!ID_PATTERN.test(String(id))) return;
+
+  await fs.promises.rm(filePath(id, shop), { force: true });
+  await fs.promises.rm(metaPath(id, shop), { force: true });
+}
+
+// Delete every file of a shop stored before `cutoff`, also those no export
+// record points to: issues, deleted SKUs and import reports.
+export async function deleteExportFilesBefore(shop, cutoff) {
+  let names;
+  try {
+    names = await fs.promises.readdir(shopDir(shop));
+  } catch {
+    return;
+  }
+
+  for (const name of names) {
+    if (!name.endsWith(".json")) continue;
+
+    const meta = await getExportFile(name.slice(0, -".json".length), shop);
+    if (meta && new Date(meta.createdAt) < cutoff) {
+      await deleteExportFile(meta.id, shop);
+    }
+  }
+}
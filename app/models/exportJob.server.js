@@ -0,0 +1,110 @@
+import { pipeline } from "node:stream/promises";
+import db from "../db.server";
+import { createExportFile, deleteExportFile } from "./exportFile.server";
+
+function parseJSON(value, fallback) {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+export function toExportJob(record) {
+  return {
+    ...record,
+    options: parseJSON(record.options, {}),
+    inputFiles: parseJSON(record.inputFiles, []),
+    result: parseJSON(record.result, null),
+  };
+}
+
+// The part of a job the export page polls for.
+export function toJobStatus(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    phase: job.phase,
+    progress: job.progress,
+    inputRowCount: job.inputRowCount,
+    rowCount: job.rowCount,
+    error: job.error,
+    result: job.result,
+  };
+}
+
+// Queue an export. Uploaded `files` ({ filename, stream }) are written to
+// export storage first, so the worker can read them after a restart.
+export async function createExportJob(
+  shop,
+  { userId, userName, options, files = [] },
+) {
+  const inputFiles = [];
+  for (const { filename, stream } of files) {
+    const file = await createExportFile(shop);
+    await pipeline(stream, file.createWriteStream());
+    const { id, size } = await file.commit(filename);
+    inputFiles.push({ id, filename, size });
+  }
+
+  const record = await db.exportJob.create({
+    data: {
+      shop,
+      userId,
+      userName,
+      options: JSON.stringify(options),
+      inputFiles: JSON.stringify(inputFiles),
+    },
+  });
+
+  return toExportJob(record);
+}
+
+export async function getExportJob(id, shop) {
+  const record = await db.exportJob.findFirst({ where: { id, shop } });
+
+  return record ? toExportJob(record) : null;
+}
+
+export async function deleteJobInputs(job) {
+  for (const file of job.inputFiles) {
+    await deleteExportFile(file.id, job.shop);
+  }
+}
+
+// A queued job is cancelled at once; a running one is flagged and stopped
+// by the worker at its next progress update.
+export async function cancelExportJob(id, shop) {
+  const { count } = await db.exportJob.updateMany({
+    where: { id, shop, status: "queued" },
+    data: {
+      status: "cancelled",
+      cancelRequested: true,
+      finishedAt: new Date(),
+    },
+  });
+
+  if (count === 1) {
+    await deleteJobInputs(await getExportJob(id, shop));
+  } else {
+    await db.exportJob.updateMany({
+      where: { id, shop, status: "running" },
+      data: { cancelRequested: true },
+    });
+  }
+
+  return getExportJob(id, shop);
+}
+
+// Cancel every queued or running export of a shop, e.g. when the app is
+// uninstalled.
+export async function cancelExportJobs(shop) {
+  const jobs = await db.exportJob.findMany({
+    where: { shop, status: { in: ["queued", "running"] } },
+    select: { id: true },
+  });
+
+  for (const { id } of jobs) {
+    await cancelExportJob(id, shop);
+  }
+}
@@ -0,0 +1,234 @@
+import db from "../db.server";
+import { DEFAULT_PROFILE } from "../../scripts/create-export";
+import { parseExpression } from "../../scripts/column-mapping";
+import { IMAGE_MODES } from "../../scripts/images";
+import { parseCondition } from "../../scripts/row-filter";
+import { parsePriceRule } from "../../scripts/price-rules";
+import { compileMetafields } from "../../scripts/metafields";
+import {
+  BELOW_MINIMUM_ACTIONS,
+  INVENTORY_MODES,
+} from "../../scripts/inventory";
+import { getCurrencyRates } from "./shopSettings.server";
+
+// Fields stored as JSON-encoded arrays.
+const LIST_FIELDS = [
+  "removePrefixes",
+  "removeExact",
+  "removePatterns",
+  "keepColumns",
+  "columnMapping",
+  "fillDownColumns",
+  "rowFilters",
+  "priceRules",
+  "metafields",
+  "inventoryLocations",
+];
+
+function parseList(value) {
+  try {
+    const list = JSON.parse(value || "[]");
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+// Convert a stored ExportProfile record into the plain profile object
+// that createExport expects.
+export function toExportProfile(record) {
+  const profile = {
+    id: record.id,
+    name: record.name,
+    isDefault: record.isDefault,
+    includeUnmappedColumns: record.includeUnmappedColumns,
+    fillDown: record.fillDown,
+    imageMode: record.imageMode,
+    imageDelimiter: record.imageDelimiter,
+    imageColumns: record.imageColumns,
+    keepOriginalPrices: record.keepOriginalPrices,
+    metafieldDelimiter: record.metafieldDelimiter,
+    inventoryMode: record.inventoryMode,
+    minimumStock: record.minimumStock,
+    belowMinimumStock: record.belowMinimumStock,
+  };
+  for (const field of LIST_FIELDS) {
+    profile[field] = parseList(record[field]);
+  }
+  return profile;
+}
+
+// Blank profile for the "new" form, pre-filled with the built-in rules.
+export function newExportProfile() {
+  return { ...DEFAULT_PROFILE, name: "", isDefault: false };
+}
+
+export async function getExportProfiles(shop) {
+  const records = await db.exportProfile.findMany({
+    where: { shop },
+    orderBy: { name: "asc" },
+  });
+
+  return records.map(toExportProfile);
+}
+
+export async function getExportProfile(id, shop) {
+  const record = await db.exportProfile.findFirst({ where: { id, shop } });
+
+  return record ? toExportProfile(record) : null;
+}
+
+// Look up the profile to use for an export. Falls back to the shop's default
+// profile, then to the built-in one, when no id is given or it does not exist.
+// The shop's exchange rates come along for the price rules.
+export async function resolveExportProfile(shop, id) {
+  const currencyRates = await getCurrencyRates(shop);
+
+  if (id) {
+    const profile = await getExportProfile(id, shop);
+    if (profile) return { ...profile, currencyRates };
+  }
+
+  const record = await db.exportProfile.findFirst({
+    where: { shop, isDefault: true },
+  });
+
+  return record
+    ? { ...toExportProfile(record), currencyRates }
+    : DEFAULT_PROFILE;
+}
+
+// `currencyRates` is the shop's rate table, to check "convert to" rules.
+export function validateExportProfile(data, { currencyRates } = {}) {
+  const errors = {};
+
+  if (!data.name) {
+    errors.name = "Name is required";
+  }
+
+  for (const pattern of data.removePatterns || []) {
+    try {
+      new RegExp(pattern);
+    } catch {
+      errors.removePatterns = `Invalid regular expression: ${pattern}`;
+      break;
+    }
+  }
+
+  for (const column of data.columnMapping || []) {
+    try {
+      parseExpression(column.expression);
+    } catch (error) {
+      errors.columnMapping = `${column.header}: ${error.message}`;
+      break;
+    }
+  }
+
+  for (const rule of data.rowFilters || []) {
+    try {
+      parseCondition(rule.condition);
+    } catch (error) {
+      errors.rowFilters = error.message;
+      break;
+    }
+  }
+
+  for (const rule of data.priceRules || []) {
+    try {
+      const { type, currency } = parsePriceRule(rule.transform);
+      if (rule.condition) parseCondition(rule.condition);
+      if (type === "convert" && currencyRates && !currencyRates[currency]) {
+        throw new Error(`No exchange rate for ${currency}`);
+      }
+    } catch (error) {
+      errors.priceRules = error.message;
+      break;
+    }
+  }
+
+  try {
+    compileMetafields(data.metafields);
+  } catch (error) {
+    errors.metafields = error.message;
+  }
+
+  if (data.imageMode && !IMAGE_MODES.includes(data.imageMode)) {
+    errors.imageMode = `Unknown image mode: ${data.imageMode}`;
+  }
+
+  if (
+    data.imageMode === "numbered" &&
+    !(Number.isInteger(data.imageColumns) && data.imageColumns > 0)
+  ) {
+    errors.imageColumns = "Number of image columns must be at least 1";
+  }
+
+  if (data.inventoryMode && !INVENTORY_MODES.includes(data.inventoryMode)) {
+    errors.inventoryMode = `Unknown stock mode: ${data.inventoryMode}`;
+  } else if (
+    data.inventoryMode &&
+    data.inventoryMode !== "none" &&
+    !data.inventoryLocations?.length
+  ) {
+    errors.inventoryLocations = "Select at least one location";
+  }
+
+  if (
+    data.minimumStock !== null &&
+    data.minimumStock !== undefined &&
+    !Number.isInteger(data.minimumStock)
+  ) {
+    errors.minimumStock = "Minimum stock must be a whole number";
+  }
+
+  if (
+    data.belowMinimumStock &&
+    !BELOW_MINIMUM_ACTIONS.includes(data.belowMinimumStock)
+  ) {
+    errors.belowMinimumStock = `Unknown action: ${data.belowMinimumStock}`;
+  }
+
+  if (Object.keys(errors).length) {
+    return errors;
+  }
+}
+
+export async function saveExportProfile(shop, id, data) {
+  const fields = {
+    name: data.name,
+    isDefault: Boolean(data.isDefault),
+    includeUnmappedColumns: data.includeUnmappedColumns ?? true,
+    fillDown: Boolean(data.fillDown),
+    imageMode: data.imageMode || "none",
+    imageDelimiter: data.imageDelimiter ?? ";",
+    imageColumns: data.imageColumns || 5,
+    keepOriginalPrices: Boolean(data.keepOriginalPrices),
+    metafieldDelimiter: data.metafieldDelimiter ?? "; ",
+    inventoryMode: data.inventoryMode || "none",
+    minimumStock: data.minimumStock ?? null,
+    belowMinimumStock: data.belowMinimumStock || "drop",
+  };
+  for (const field of LIST_FIELDS) {
+    fields[field] = JSON.stringify(data[field] || []);
+  }
+
+  // Only one profile per shop can be the default.
+  if (fields.isDefault) {
+    await db.exportProfile.updateMany({
+      where: { shop, isDefault: true, NOT: id ? { id } : undefined },
+      data: { isDefault: false },
+    });
+  }
+
+  if (id) {
+    await db.exportProfile.updateMany({ where: { id, shop }, data: fields });
+    return getExportProfile(id, shop);
+  }
+
+  const record = await db.exportProfile.create({ data: { shop, ...fields } });
+  return toExportProfile(record);
+}
+
+export async function deleteExportProfile(id, shop) {
+  await db.exportProfile.deleteMany({ where: { id, shop } });
+}
@@ -0,0 +1,96 @@
+import db from "../db.server";
+import { deleteExportFile, deleteExportFilesBefore } from "./exportFile.server";
+import { getShopSettings } from "./shopSettings.server";
+
+const PAGE_SIZE = 50;
+
+// Staff member behind an admin request. Offline sessions carry no user, but
+// the embedded session token always names one.
+export function staffFromContext({ session, sessionToken }) {
+  const user = session.onlineAccessInfo?.associated_user;
+
+  return {
+    userId: user?.id ? String(user.id) : sessionToken?.sub || null,
+    userName: user
+      ? [user.first_name, user.last_name].filter(Boolean).join(" ") ||
+        user.email ||
+        null
+      : null,
+  };
+}
+
+function toExportRecord(record) {
+  let removedColumns;
+  try {
+    removedColumns = JSON.parse(record.removedColumns);
+  } catch {
+    removedColumns = [];
+  }
+
+  return { ...record, removedColumns };
+}
+
+export async function recordExport(shop, data) {
+  const record = await db.exportRecord.create({
+    data: {
+      ...data,
+      shop,
+      removedColumns: JSON.stringify(data.removedColumns || []),
+    },
+  });
+
+  return toExportRecord(record);
+}
+
+export async function getExportRecords(shop, { status, format, query } = {}) {
+  const records = await db.exportRecord.findMany({
+    where: {
+      shop,
+      ...(status ? { status } : {}),
+      ...(format ? { format } : {}),
+      ...(query
+        ? {
+            OR: [
+              { sourceFilename: { contains: query } },
+              { outputFilename: { contains: query } },
+              { userName: { contains: query } },
+            ],
+          }
+        : {}),
+    },
+    orderBy: { createdAt: "desc" },
+    take: PAGE_SIZE,
+  });
+
+  return records.map(toExportRecord);
+}
+
+export async function getExportRecord(id, shop) {
+  const record = await db.exportRecord.findFirst({ where: { id, shop } });
+
+  return record ? toExportRecord(record) : null;
+}
+
+// Delete stored files older than the shop's retention period. The history
+// rows are kept, only their download goes away. Returns the number of rows
+// whose export was deleted.
+export async function purgeExpiredExports(shop) {
+  const { historyRetentionDays } = await getShopSettings(shop);
+  const cutoff = new Date(Date.now() - historyRetentionDays * 86400000);
+
+  const expired = await db.exportRecord.findMany({
+    where: { shop, fileId: { not: null }, createdAt: { lt: cutoff } },
+    select: { id: true, fileId: true },
+  });
+
+  for (const record of expired) {
+    await deleteExportFile(record.fileId, shop);
+    await db.exportRecord.update({
+      where: { id: record.id },
+      data: { fileId: null, fileDeletedAt: new Date() },
+    });
+  }
+  await deleteExportFilesBefore(shop, cutoff);
+
+  return expired.length;
+}
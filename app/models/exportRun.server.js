@@ -0,0 +1,376 @@
+import { Buffer } from "node:buffer";
+import { createExport, readInput } from "../../scripts/create-export";
+import { createMultiFileExport } from "../../scripts/multi-file";
+import {
+  OUTPUT_FORMATS,
+  formatFromFilename,
+} from "../../scripts/output-formats";
+import { createStreamingExport } from "../../scripts/stream-export";
+import {
+  createTranslatedExport,
+  productHandles,
+} from "../../scripts/translations";
+import { countIssues, issuesToCSV } from "../../scripts/validate";
+import { logger } from "../logger.server";
+import { recordAuditEvent } from "./auditLog.server";
+import { fetchCatalogRows } from "./catalog.server";
+import {
+  createExportFile,
+  exportDownloadUrl,
+  saveExportFile,
+} from "./exportFile.server";
+import { resolveExportProfile } from "./exportProfile.server";
+import { purgeExpiredExports, recordExport } from "./exportRecord.server";
+import { fetchProfileInventory } from "./inventory.server";
+import {
+  completeDeltaExport,
+  deletedSkusToCSV,
+  getPendingChanges,
+} from "./productChange.server";
+import { fetchTranslations, getShopLocales } from "./translations.server";
+
+// Only the first issues are sent to the page; the issues file has them all.
+const MAX_ISSUES_SHOWN = 100;
+
+// Progress, in percent, at the start of each phase of a buffered export.
+// A streamed CSV is read, transformed and written at once and reports the
+// share of the file read instead.
+const PHASE_PROGRESS = { parsing: 0, transforming: 30, writing: 90 };
+
+// Run an export from the export page's `options`: { source ("upload",
+// "store" or "delta"), profileId, format, sheet, multiFileMode, locales,
+// localeMode }. Uploads come as `files` of { filename, size, read, stream },
+// `read` resolving to the contents and `stream` opening them; store exports
+// pass the finished `bulkOperation`. `onProgress` is awaited at the start of
+// every phase with { phase, progress, inputRowCount, rowCount } and called
+// as a streamed CSV is read; aborting `signal` stops the export between
+// phases or mid-stream. Progress goes to `log`. Returns { result, profile,
+// changes, startedAt }, `changes` being the product changes a delta export
+// covers.
+export async function runExport({
+  admin,
+  shop,
+  options,
+  files = [],
+  bulkOperation,
+  preview = false,
+  onProgress = async () => {},
+  signal,
+  log = logger,
+}) {
+  const { source = "upload", format, locales = [] } = options;
+  const profile = await resolveExportProfile(shop, options.profileId);
+  const inventoryLevels = await fetchProfileInventory(admin, profile);
+  let startedAt = Date.now();
+  let changes = null;
+  let result;
+
+  const startPhase = async (phase, counts = {}) => {
+    await onProgress({ phase, progress: PHASE_PROGRESS[phase], ...counts });
+    signal?.throwIfAborted();
+  };
+
+  // Export rows with the selected languages added, as extra columns or one
+  // file per language. Reading the translations of the rows' products takes
+  // up the first half of the transforming phase.
+  const createLocaleExport = async (exportOptions) => {
+    const [primary] = await getShopLocales(admin);
+    const span = (PHASE_PROGRESS.writing - PHASE_PROGRESS.transforming) / 2;
+    const translations = await fetchTranslations(
+      admin,
+      locales,
+      productHandles(exportOptions.rows),
+      {
+        signal,
+        onProgress: (share) =>
+          onProgress({
+            phase: "transforming",
+            progress: Math.floor(PHASE_PROGRESS.transforming + share * span),
+          }),
+      },
+    );
+    return createTranslatedExport({
+      ...exportOptions,
+      translations,
+      locales,
+      primaryLocale: primary.locale,
+      mode: options.localeMode || "columns",
+      log,
+    });
+  };
+
+  if (source !== "upload") {
+    if (bulkOperation?.createdAt) {
+      startedAt = Date.parse(bulkOperation.createdAt);
+    }
+
+    if (bulkOperation?.status !== "COMPLETED") {
+      result = {
+        success: false,
+        error: `Store export ${String(
+          bulkOperation?.errorCode || bulkOperation?.status || "failed",
+        ).toLowerCase()}`,
+      };
+    } else {
+      await startPhase("parsing");
+      let rows = await fetchCatalogRows(bulkOperation.url);
+      const storeFormat = format || "csv";
+      const shopName = shop.replace(/\.myshopify\.com$/, "");
+
+      if (source === "delta") {
+        // The catalog was read after every change up to its start time
+        changes = await getPendingChanges(
+          shop,
+          new Date(bulkOperation.createdAt),
+        );
+        // Handle is the first column of the catalog rows
+        rows = [
+          rows[0],
+          ...rows.slice(1).filter((row) => changes.handles.has(row[0])),
+        ];
+      }
+
+      await startPhase("transforming", { inputRowCount: rows.length - 1 });
+      const exportOptions = {
+        rows,
+        filename: `${shopName}-${source === "delta" ? "changes" : "products"}.${OUTPUT_FORMATS[storeFormat].extension}`,
+        format: storeFormat,
+        profile,
+        preview,
+        inventoryLevels,
+        log,
+      };
+      result = locales.length
+        ? await createLocaleExport(exportOptions)
+        : createExport(exportOptions);
+    }
+  } else if (files.length > 1) {
+    // Several files are merged into one export or zipped one by one
+    await startPhase("parsing");
+    const inputs = await Promise.all(
+      files.map(async (file) => ({
+        file: await file.read(),
+        filename: file.filename,
+      })),
+    );
+
+    await startPhase("transforming");
+    result = createMultiFileExport({
+      files: inputs,
+      mode: options.multiFileMode || "merge",
+      format,
+      profile,
+      preview,
+      inventoryLevels,
+      log,
+    });
+  } else if (
+    !preview &&
+    !locales.length &&
+    files[0].filename.toLowerCase().endsWith(".csv") &&
+    OUTPUT_FORMATS[format || "csv"].delimiter
+  ) {
+    // CSV files are parsed, filtered and written to storage as a stream
+    const [file] = files;
+
+    await startPhase("transforming", { progress: 0 });
+    // A cancelled or failed export leaves no file behind
+    const exportFile = await createExportFile(shop);
+    try {
+      result = await createStreamingExport({
+        input: file.stream(),
+        output: exportFile.createWriteStream(),
+        filename: file.filename,
+        format,
+        profile,
+        inventoryLevels,
+        signal,
+        log,
+        onProgress: (stats) =>
+          onProgress({
+            phase: "transforming",
+            progress: Math.floor(
+              (PHASE_PROGRESS.writing * stats.inputBytes) /
+                Math.max(file.size, 1),
+            ),
+            inputRowCount: stats.inputRows,
+            rowCount: stats.outputRows,
+          }),
+      });
+    } catch (error) {
+      await exportFile.discard();
+      throw error;
+    }
+    if (result.success) {
+      const { id, size } = await exportFile.commit(result.filename);
+      result.exportId = id;
+      result.fileSize = size;
+    } else {
+      await exportFile.discard();
+    }
+  } else {
+    const [file] = files;
+    // "*" merges every sheet with the same headers
+    const sheet = String(options.sheet || "");
+
+    await startPhase("parsing");
+    const read = readInput({
+      file: await file.read(),
+      filename: file.filename,
+      sheet: sheet === "*" ? undefined : sheet || undefined,
+      mergeSheets: sheet === "*",
+      log,
+    });
+
+    if (read.success) {
+      await startPhase("transforming", {
+        inputRowCount: Math.max(read.rows.length - 1, 0),
+      });
+      const exportOptions = {
+        rows: read.rows,
+        input: read.input,
+        filename: file.filename,
+        format: format || formatFromFilename(file.filename),
+        profile,
+        preview,
+        inventoryLevels,
+        log,
+      };
+      // Translations are added to the rows read from the file
+      result = locales.length
+        ? await createLocaleExport(exportOptions)
+        : createExport(exportOptions);
+      if (result.success) {
+        if (preview) result.preview.input = read.input;
+        else result.input = read.input;
+      }
+    } else {
+      result = read;
+    }
+  }
+
+  signal?.throwIfAborted();
+  if (result.success && !preview) {
+    await startPhase("writing", {
+      inputRowCount: result.inputRowCount,
+      rowCount: result.rowCount,
+    });
+  }
+
+  return { result, profile, changes, startedAt };
+}
+
+// What the export page shows of a preview: a sample of the rows and the
+// first issues. Nothing is stored or recorded.
+export function previewResponse({ result, changes }) {
+  return {
+    ...result.preview,
+    issues: result.preview.issues.slice(0, MAX_ISSUES_SHOWN),
+    issueCounts: countIssues(result.preview.issues),
+    deletedSkuCount: changes?.deleted.length,
+  };
+}
+
+// Store a finished export with its issues and deleted SKUs files, and
+// record it in the history and the audit log with `record` ({ userId,
+// userName, source, sourceFilename, format }). Returns what the export page
+// shows of it, or the failed result.
+export async function saveExportResult(
+  shop,
+  { result, profile, changes, startedAt, record, log = logger },
+) {
+  const entry = {
+    ...record,
+    format:
+      result.format ||
+      record.format ||
+      (record.sourceFilename || "").split(".").pop().toLowerCase() ||
+      null,
+    profileName: profile.name,
+    durationMs: Date.now() - startedAt,
+  };
+
+  const audit = (summary) =>
+    recordAuditEvent(
+      shop,
+      {
+        userId: record.userId,
+        userName: record.userName,
+        action: "export",
+        summary,
+      },
+      log,
+    );
+
+  if (!result.success) {
+    await recordExport(shop, {
+      ...entry,
+      status: "failed",
+      error: result.error,
+    });
+    await audit(`Export failed: ${result.error}`);
+    return result;
+  }
+
+  // The file itself is served by the download route, not through this
+  // response.
+  const exportFile = result.exportId
+    ? { id: result.exportId, size: result.fileSize }
+    : await saveExportFile(shop, result.filename, result.buffer);
+  const exportId = exportFile.id;
+
+  await recordExport(shop, {
+    ...entry,
+    status: "success",
+    outputFilename: result.filename,
+    inputRowCount: result.inputRowCount,
+    rowCount: result.rowCount,
+    removedColumns: result.removedColumns.map((column) => column.header),
+    fileId: exportId,
+    fileSize: exportFile.size,
+  });
+  await purgeExpiredExports(shop);
+  await audit(
+    `Exported ${result.filename} (${result.rowCount} rows, profile "${profile.name}")`,
+  );
+
+  // Deleted SKUs go in their own file; the changes are then marked exported.
+  let deletedFile = null;
+  if (changes) {
+    deletedFile = await saveExportFile(
+      shop,
+      result.filename.replace(/-export\.[^.]+$/, "-deleted.csv"),
+      Buffer.from(deletedSkusToCSV(changes.deleted), "utf-8"),
+    );
+    await completeDeltaExport(shop, changes.until);
+  }
+
+  // Validation issues are offered as their own CSV next to the export.
+  let issuesFile = null;
+  if (result.issues.length > 0) {
+    issuesFile = await saveExportFile(
+      shop,
+      result.filename.replace(/-export\.[^.]+$/, "-issues.csv"),
+      Buffer.from(issuesToCSV(result.issues), "utf-8"),
+    );
+  }
+
+  return {
+    success: true,
+    filename: result.filename,
+    rowCount: result.rowCount,
+    stats: result.stats,
+    input: result.input,
+    files: result.files,
+    missingTranslationCount: result.missingTranslationCount,
+    exportId,
+    downloadUrl: exportDownloadUrl(exportId),
+    issues: result.issues.slice(0, MAX_ISSUES_SHOWN),
+    issueCounts: countIssues(result.issues),
+    issuesFilename: issuesFile?.filename,
+    issuesDownloadUrl: issuesFile && exportDownloadUrl(issuesFile.id),
+    deletedSkuCount: changes?.deleted.length,
+    deletedFilename: deletedFile?.filename,
+    deletedDownloadUrl: deletedFile && exportDownloadUrl(deletedFile.id),
+  };
+}
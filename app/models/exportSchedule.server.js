@@ -0,0 +1,147 @@
+import db from "../db.server";
+import { nextCronDate } from "../../scripts/cron";
+import { OUTPUT_FORMATS } from "../../scripts/output-formats";
+import { SECRET_FIELDS, validateDelivery } from "./delivery.server";
+
+const RUNS_PAGE_SIZE = 50;
+
+function parseConfig(value) {
+  try {
+    const config = JSON.parse(value || "{}");
+    return config && typeof config === "object" ? config : {};
+  } catch {
+    return {};
+  }
+}
+
+function toExportSchedule(record) {
+  return { ...record, deliveryConfig: parseConfig(record.deliveryConfig) };
+}
+
+// Delivery settings without passwords and tokens, for the browser. The
+// `has*` flags tell the form a secret is stored.
+export function withoutSecrets(schedule) {
+  const deliveryConfig = { ...schedule.deliveryConfig };
+  for (const field of SECRET_FIELDS) {
+    if (deliveryConfig[field]) {
+      deliveryConfig[field] = "";
+      deliveryConfig[`has${field[0].toUpperCase()}${field.slice(1)}`] = true;
+    }
+  }
+
+  return { ...schedule, deliveryConfig };
+}
+
+export function newExportSchedule() {
+  return {
+    name: "",
+    cron: "0 6 * * *",
+    profileId: null,
+    format: "csv",
+    deliveryType: "sftp",
+    deliveryConfig: {},
+    enabled: true,
+  };
+}
+
+export async function getExportSchedules(shop) {
+  const records = await db.exportSchedule.findMany({
+    where: { shop },
+    orderBy: { name: "asc" },
+  });
+
+  return records.map(toExportSchedule);
+}
+
+export async function getExportSchedule(id, shop) {
+  const record = await db.exportSchedule.findFirst({ where: { id, shop } });
+
+  return record ? toExportSchedule(record) : null;
+}
+
+export async function getExportScheduleRuns(shop) {
+  return db.exportScheduleRun.findMany({
+    where: { shop },
+    include: { schedule: { select: { name: true } } },
+    orderBy: { startedAt: "desc" },
+    take: RUNS_PAGE_SIZE,
+  });
+}
+
+export function validateExportSchedule(data) {
+  const errors = {};
+
+  if (!data.name) {
+    errors.name = "Name is required";
+  }
+
+  try {
+    nextCronDate(data.cron);
+  } catch (error) {
+    errors.cron = error.message;
+  }
+
+  if (!OUTPUT_FORMATS[data.format]) {
+    errors.format = `Unknown format: ${data.format}`;
+  }
+
+  const deliveryErrors = validateDelivery(
+    data.deliveryType,
+    data.deliveryConfig,
+  );
+  if (deliveryErrors) {
+    errors.delivery = deliveryErrors;
+  }
+
+  if (Object.keys(errors).length) {
+    return errors;
+  }
+}
+
+// Secrets left empty in the form keep their stored value.
+export async function withStoredSecrets(shop, id, deliveryConfig) {
+  const existing = id ? await getExportSchedule(id, shop) : null;
+  const config = { ...deliveryConfig };
+  for (const field of SECRET_FIELDS) {
+    if (!config[field] && existing?.deliveryConfig[field]) {
+      config[field] = existing.deliveryConfig[field];
+    }
+  }
+
+  return config;
+}
+
+export async function saveExportSchedule(shop, id, data) {
+  const fields = {
+    name: data.name,
+    cron: data.cron,
+    profileId: data.profileId || null,
+    format: data.format,
+    deliveryType: data.deliveryType,
+    deliveryConfig: JSON.stringify(data.deliveryConfig),
+    enabled: Boolean(data.enabled),
+    nextRunAt: data.enabled ? nextCronDate(data.cron) : null,
+    retryAttempt: 0,
+  };
+
+  if (id) {
+    await db.exportSchedule.updateMany({ where: { id, shop }, data: fields });
+    return getExportSchedule(id, shop);
+  }
+
+  const record = await db.exportSchedule.create({ data: { shop, ...fields } });
+  return toExportSchedule(record);
+}
+
+export async function deleteExportSchedule(id, shop) {
+  await db.exportSchedule.deleteMany({ where: { id, shop } });
+}
+
+// Stop every schedule of a shop, e.g. when the app is uninstalled. The
+// schedules stay so they can be switched on again.
+export async function disableExportSchedules(shop) {
+  await db.exportSchedule.updateMany({
+    where: { shop },
+    data: { enabled: false, nextRunAt: null, retryAttempt: 0 },
+  });
+}
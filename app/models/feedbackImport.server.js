@@ -0,0 +1,207 @@
+// SKUs looked up per variant search; each is a term in the search query.
+const SKU_BATCH_SIZE = 50;
+// Quantities set per inventorySetQuantities call.
+const QUANTITY_BATCH_SIZE = 250;
+
+// The variants with the given SKUs, as a Map<sku, { id, productId, price,
+// inventoryItemId, available }>. `available` is the available quantity at
+// `locationId`, or null when the item is not stocked there.
+export async function fetchVariantsBySku(admin, skus, locationId) {
+  const variants = new Map();
+  const unique = [...new Set(skus.filter(Boolean))];
+
+  for (let i = 0; i < unique.length; i += SKU_BATCH_SIZE) {
+    const batch = unique.slice(i, i + SKU_BATCH_SIZE);
+    const response = await admin.graphql(
+      `#graphql
+        query feedbackVariants($query: String!, $locationId: ID!) {
+          productVariants(first: 250, query: $query) {
+            nodes {
+              id
+              sku
+              price
+              product {
+                id
+              }
+              inventoryItem {
+                id
+                inventoryLevel(locationId: $locationId) {
+                  quantities(names: ["available"]) {
+                    name
+                    quantity
+                  }
+                }
+              }
+            }
+          }
+        }`,
+      {
+        variables: {
+          query: batch.map((sku) => `sku:${JSON.stringify(sku)}`).join(" OR "),
+          locationId,
+        },
+      },
+    );
+    const {
+      data: { productVariants },
+    } = await response.json();
+
+    // The search also matches similar SKUs; only exact ones count
+    for (const variant of productVariants.nodes) {
+      if (!batch.includes(variant.sku) || variants.has(variant.sku)) continue;
+      const level = variant.inventoryItem?.inventoryLevel;
+      variants.set(variant.sku, {
+        id: variant.id,
+        productId: variant.product.id,
+        price: variant.price,
+        inventoryItemId: variant.inventoryItem?.id,
+        available: level
+          ? (level.quantities.find((quantity) => quantity.name === "available")
+              ?.quantity ?? 0)
+          : null,
+      });
+    }
+  }
+
+  return variants;
+}
+
+// Index of the input entry a user error points at, from a field path such
+// as ["variants", "2", "price"].
+function errorIndex(field, name) {
+  const position = (field || []).indexOf(name);
+  return position >= 0 ? Number(field[position + 1]) : -1;
+}
+
+// Variants without an error are updated even when others of the product
+// fail.
+async function updatePrices(admin, productId, rows) {
+  const response = await admin.graphql(
+    `#graphql
+      mutation feedbackPrices(
+        $productId: ID!
+        $variants: [ProductVariantsBulkInput!]!
+      ) {
+        productVariantsBulkUpdate(
+          productId: $productId
+          variants: $variants
+          allowPartialUpdates: true
+        ) {
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+    {
+      variables: {
+        productId,
+        variants: rows.map((row) => ({
+          id: row.variantId,
+          price: row.price.to,
+        })),
+      },
+    },
+  );
+  const {
+    data: { productVariantsBulkUpdate },
+  } = await response.json();
+
+  return productVariantsBulkUpdate.userErrors.map((error) => ({
+    row: rows[errorIndex(error.field, "variants")],
+    message: error.message,
+  }));
+}
+
+// Quantities are only set when they are still what the dry run showed, so
+// a sale in between is not overwritten. One error rejects the whole batch.
+async function setQuantities(admin, locationId, rows) {
+  const response = await admin.graphql(
+    `#graphql
+      mutation feedbackQuantities($input: InventorySetQuantitiesInput!) {
+        inventorySetQuantities(input: $input) {
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+    {
+      variables: {
+        input: {
+          name: "available",
+          reason: "correction",
+          quantities: rows.map((row) => ({
+            inventoryItemId: row.inventoryItemId,
+            locationId,
+            quantity: row.quantity.to,
+            compareQuantity: row.quantity.from,
+          })),
+        },
+      },
+    },
+  );
+  const {
+    data: { inventorySetQuantities },
+  } = await response.json();
+
+  return inventorySetQuantities.userErrors.map((error) => ({
+    row: rows[errorIndex(error.field, "quantities")],
+    message: error.message,
+  }));
+}
+
+// Apply the planned changes (see planFeedbackChanges): prices through
+// productVariantsBulkUpdate per product, quantities at `locationId`
+// through inventorySetQuantities. Returns the rows with every change marked
+// "applied" or "failed"; an error without a row fails the whole batch. For
+// an `atomic` batch, which Shopify applies entirely or not at all, any
+// error fails every row of it.
+export async function applyFeedbackChanges(admin, rows, locationId) {
+  const errors = new Map();
+  const fail = (row, message) => {
+    errors.set(row, [...(errors.get(row) || []), message]);
+  };
+  const failAll = (batch, results, { atomic = false } = {}) => {
+    for (const { row, message } of results) {
+      if (row) fail(row, message);
+      else batch.forEach((entry) => fail(entry, message));
+    }
+    if (atomic && results.length > 0) {
+      for (const entry of batch) {
+        if (!errors.has(entry)) {
+          fail(entry, "Not applied: another row of the batch failed");
+        }
+      }
+    }
+  };
+
+  const priceRows = rows.filter((row) => row.status === "change" && row.price);
+  const byProduct = new Map();
+  for (const row of priceRows) {
+    byProduct.set(row.productId, [
+      ...(byProduct.get(row.productId) || []),
+      row,
+    ]);
+  }
+  for (const [productId, batch] of byProduct) {
+    failAll(batch, await updatePrices(admin, productId, batch));
+  }
+
+  const quantityRows = rows.filter(
+    (row) => row.status === "change" && row.quantity,
+  );
+  for (let i = 0; i < quantityRows.length; i += QUANTITY_BATCH_SIZE) {
+    const batch = quantityRows.slice(i, i + QUANTITY_BATCH_SIZE);
+    failAll(batch, await setQuantities(admin, locationId, batch), {
+      atomic: true,
+    });
+  }
+
+  return rows.map((row) => {
+    if (row.status !== "change") return row;
+    return errors.has(row)
+      ? { ...row, status: "failed", message: errors.get(row).join("; ") }
+      : { ...row, status: "applied" };
+  });
+}
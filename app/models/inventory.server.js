@@ -0,0 +1,98 @@
+import { collectInventoryLevels } from "../../scripts/inventory";
+
+const INVENTORY_PAGE_SIZE = 250;
+
+// The shop's active locations, for picking the ones to export stock from,
+// read a page at a time.
+export async function getLocations(admin) {
+  const locations = [];
+  let after = null;
+  do {
+    const response = await admin.graphql(
+      `#graphql
+        query exportLocations($first: Int!, $after: String) {
+          locations(first: $first, after: $after) {
+            nodes {
+              id
+              name
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+          }
+        }`,
+      { variables: { first: INVENTORY_PAGE_SIZE, after } },
+    );
+    const {
+      data: { locations: page },
+    } = await response.json();
+
+    locations.push(...page.nodes);
+    after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+  } while (after);
+
+  return locations;
+}
+
+// Read the available quantities of every item at `locationIds`, a page at a
+// time, into a Map<sku, { [locationId]: quantity }>.
+export async function fetchInventoryLevels(admin, locationIds) {
+  const levels = new Map();
+
+  for (const id of locationIds) {
+    let after = null;
+    do {
+      const response = await admin.graphql(
+        `#graphql
+          query locationInventory($id: ID!, $first: Int!, $after: String) {
+            location(id: $id) {
+              inventoryLevels(first: $first, after: $after) {
+                nodes {
+                  item {
+                    sku
+                  }
+                  quantities(names: ["available"]) {
+                    name
+                    quantity
+                  }
+                }
+                pageInfo {
+                  hasNextPage
+                  endCursor
+                }
+              }
+            }
+          }`,
+        { variables: { id, first: INVENTORY_PAGE_SIZE, after } },
+      );
+      const {
+        data: { location },
+      } = await response.json();
+      // A location deleted since the profile was saved has no stock
+      if (!location) break;
+
+      collectInventoryLevels(location.inventoryLevels.nodes, id, levels);
+
+      after = location.inventoryLevels.pageInfo.hasNextPage
+        ? location.inventoryLevels.pageInfo.endCursor
+        : null;
+    } while (after);
+  }
+
+  return levels;
+}
+
+// The inventory levels an export with `profile` needs, or undefined when
+// it has no stock columns and no minimum stock per location.
+export async function fetchProfileInventory(admin, profile) {
+  const locationIds = (profile.inventoryLocations || []).map(
+    (location) => location.id,
+  );
+  const usesStock =
+    (profile.inventoryMode && profile.inventoryMode !== "none") ||
+    (profile.minimumStock !== null && profile.minimumStock !== undefined);
+  if (!usesStock || !locationIds.length) return undefined;
+
+  return fetchInventoryLevels(admin, locationIds);
+}
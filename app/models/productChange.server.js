@@ -0,0 +1,126 @@
+import db from "../db.server";
+import { getShopSettings } from "./shopSettings.server";
+import { rowToCSV } from "../../scripts/csv";
+
+const DELETED_HEADERS = ["Handle", "Variant SKU", "Product ID"];
+
+function parseList(value) {
+  try {
+    const list = JSON.parse(value || "[]");
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+function skusOf(payload) {
+  return [
+    ...new Set(
+      (payload.variants || [])
+        .map((variant) => String(variant.sku || "").trim())
+        .filter(Boolean),
+    ),
+  ];
+}
+
+// Record a products/create, products/update or products/delete webhook.
+// One row is kept per product with its current SKUs, so SKUs that disappear
+// (a removed variant or the whole product) can be reported as deleted.
+export async function recordProductChange(shop, topic, payload) {
+  const productId = String(payload.id);
+  const existing = await db.productChange.findUnique({
+    where: { shop_productId: { shop, productId } },
+  });
+  const previousSkus = parseList(existing?.skus);
+  const deletedSkus = new Set(parseList(existing?.deletedSkus));
+  const isDelete = /delete/i.test(topic);
+
+  let skus = [];
+  if (isDelete) {
+    previousSkus.forEach((sku) => deletedSkus.add(sku));
+  } else {
+    skus = skusOf(payload);
+    previousSkus
+      .filter((sku) => !skus.includes(sku))
+      .forEach((sku) => deletedSkus.add(sku));
+    // A SKU that comes back is no longer deleted
+    skus.forEach((sku) => deletedSkus.delete(sku));
+  }
+
+  const data = {
+    handle: isDelete ? existing?.handle : payload.handle,
+    skus: JSON.stringify(skus),
+    deletedSkus: JSON.stringify([...deletedSkus]),
+    deleted: isDelete,
+    changedAt: new Date(),
+  };
+
+  await db.productChange.upsert({
+    where: { shop_productId: { shop, productId } },
+    update: data,
+    create: { shop, productId, ...data },
+  });
+}
+
+// Changes recorded since the last successful delta export, up to `until`:
+// the handles of added or updated products and the SKUs deleted since.
+export async function getPendingChanges(shop, until = new Date()) {
+  const { changesExportedAt } = await getShopSettings(shop);
+  const changes = await db.productChange.findMany({
+    where: {
+      shop,
+      changedAt: {
+        ...(changesExportedAt ? { gt: changesExportedAt } : {}),
+        lte: until,
+      },
+    },
+  });
+
+  const deleted = [];
+  for (const change of changes) {
+    for (const sku of parseList(change.deletedSkus)) {
+      deleted.push({
+        handle: change.handle || "",
+        sku,
+        productId: change.productId,
+      });
+    }
+  }
+
+  return {
+    since: changesExportedAt,
+    until,
+    handles: new Set(
+      changes
+        .filter((change) => !change.deleted && change.handle)
+        .map((change) => change.handle),
+    ),
+    deleted,
+  };
+}
+
+export function deletedSkusToCSV(deleted) {
+  const rows = deleted.map((row) => [row.handle, row.sku, row.productId]);
+
+  return [DELETED_HEADERS, ...rows].map((row) => rowToCSV(row)).join("\n");
+}
+
+// Called once a delta export has been stored: moves the watermark to
+// `until` and forgets what that export reported. Changes that arrived
+// while it ran stay pending.
+export async function completeDeltaExport(shop, until) {
+  await db.$transaction([
+    db.productChange.deleteMany({
+      where: { shop, deleted: true, changedAt: { lte: until } },
+    }),
+    db.productChange.updateMany({
+      where: { shop, changedAt: { lte: until } },
+      data: { deletedSkus: "[]" },
+    }),
+    db.shopSettings.upsert({
+      where: { shop },
+      update: { changesExportedAt: until },
+      create: { shop, changesExportedAt: until },
+    }),
+  ]);
+}
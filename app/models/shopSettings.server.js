@@ -0,0 +1,32 @@
+import db from "../db.server";
+
+export async function getShopSettings(shop) {
+  return db.shopSettings.upsert({
+    where: { shop },
+    update: {},
+    create: { shop },
+  });
+}
+
+export async function updateShopSettings(shop, data) {
+  return db.shopSettings.upsert({
+    where: { shop },
+    update: data,
+    create: { shop, ...data },
+  });
+}
+
+// The exchange rate table used by "convert to" price rules: what one unit
+// of the shop currency is worth in each currency, as { CODE: rate }.
+export async function getCurrencyRates(shop) {
+  const { currencyRates } = await getShopSettings(shop);
+  try {
+    return JSON.parse(currencyRates || "{}");
+  } catch {
+    return {};
+  }
+}
+
+export async function saveCurrencyRates(shop, rates) {
+  return updateShopSettings(shop, { currencyRates: JSON.stringify(rates) });
+}
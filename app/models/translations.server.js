@@ -0,0 +1,117 @@
+import { collectTranslations } from "../../scripts/translations";
+
+// The shop's languages, primary first.
+export async function getShopLocales(admin) {
+  const response = await admin.graphql(
+    `#graphql
+      query shopLocales {
+        shopLocales {
+          locale
+          name
+          primary
+          published
+        }
+      }`,
+  );
+  const {
+    data: { shopLocales },
+  } = await response.json();
+
+  return [...shopLocales].sort((a, b) => Number(b.primary) - Number(a.primary));
+}
+
+// Products looked up per query; each handle is a term in the search query
+// and each product a resource of the translations query.
+const HANDLE_BATCH_SIZE = 50;
+
+// The product ids of one batch of handles. The search also matches similar
+// handles; only exact ones count.
+async function fetchProductIds(admin, handles) {
+  const response = await admin.graphql(
+    `#graphql
+      query translationProducts($first: Int!, $query: String!) {
+        products(first: $first, query: $query) {
+          nodes {
+            id
+            handle
+          }
+        }
+      }`,
+    {
+      variables: {
+        first: handles.length,
+        query: handles
+          .map((handle) => `handle:${JSON.stringify(handle)}`)
+          .join(" OR "),
+      },
+    },
+  );
+  const {
+    data: { products },
+  } = await response.json();
+
+  return products.nodes
+    .filter((product) => handles.includes(product.handle))
+    .map((product) => product.id);
+}
+
+// Read the translations of `locales` for the products with `handles`, a
+// batch of products at a time, into a Map<handle, { [locale]: { [column]:
+// value } }>. `onProgress` is awaited before every batch with the share
+// done (0 to 1); aborting `signal` stops between batches.
+export async function fetchTranslations(
+  admin,
+  locales,
+  handles,
+  { signal, onProgress = async () => {} } = {},
+) {
+  const translations = new Map();
+
+  for (let i = 0; i < handles.length; i += HANDLE_BATCH_SIZE) {
+    await onProgress(i / handles.length);
+    signal?.throwIfAborted();
+
+    const ids = await fetchProductIds(
+      admin,
+      handles.slice(i, i + HANDLE_BATCH_SIZE),
+    );
+    if (ids.length === 0) continue;
+
+    for (const locale of locales) {
+      const response = await admin.graphql(
+        `#graphql
+          query productTranslations(
+            $ids: [ID!]!
+            $first: Int!
+            $locale: String!
+          ) {
+            translatableResourcesByIds(resourceIds: $ids, first: $first) {
+              nodes {
+                resourceId
+                translatableContent {
+                  key
+                  value
+                }
+                translations(locale: $locale) {
+                  key
+                  value
+                }
+              }
+            }
+          }`,
+        { variables: { ids, first: ids.length, locale } },
+      );
+      const {
+        data: { translatableResourcesByIds },
+      } = await response.json();
+
+      collectTranslations(
+        translatableResourcesByIds.nodes,
+        locale,
+        translations,
+      );
+    }
+  }
+
+  return translations;
+}
@@ -1,108 +1,397 @@
 import { useEffect, useState } from "react";
-import { useFetcher } from "react-router";
+import { useFetcher, useLoaderData } from "react-router";
 import { useAppBridge } from "@shopify/app-bridge-react";
 import { boundary } from "@shopify/shopify-app-react-router/server";
+import { downloadExport } from "../utils/download";
+import { describeInput } from "../utils/input-format";
+import { ExportPreview } from "../components/ExportPreview";
+import { FileSummary } from "../components/FileSummary";
+import { ValidationIssues } from "../components/ValidationIssues";
+
+// What a running export job is doing, by phase.
+const JOB_PHASES = {
+  parsing: "Reading the input",
+  transforming: "Transforming rows",
+  writing: "Writing the export",
+};
 
 export const loader = async ({ request }) => {
   const { authenticate } = await import("../shopify.server");
+  const { getExportProfiles } = await import(
+    "../models/exportProfile.server"
+  );
+  const { OUTPUT_FORMATS } = await import("../../scripts/output-formats");
+  const { MULTI_FILE_MODES } = await import("../../scripts/multi-file");
+  const { LOCALE_MODES } = await import("../../scripts/translations");
+  const { getShopLocales } = await import("../models/translations.server");
 
-  await authenticate.admin(request);
+  const { admin, session } = await authenticate.admin(request);
 
-  return {};
+  const profiles = await getExportProfiles(session.shop);
+  const shopLocales = await getShopLocales(admin);
+
+  return {
+    profiles: profiles.map(({ id, name, isDefault }) => ({
+      id,
+      name,
+      isDefault,
+    })),
+    formats: Object.entries(OUTPUT_FORMATS).map(([value, { label }]) => ({
+      value,
+      label,
+    })),
+    multiFileModes: Object.entries(MULTI_FILE_MODES).map(([value, label]) => ({
+      value,
+      label,
+    })),
+    // Languages an export can add next to the primary one
+    locales: shopLocales
+      .filter((locale) => !locale.primary)
+      .map(({ locale, name }) => ({ value: locale, label: name })),
+    localeModes: Object.entries(LOCALE_MODES).map(([value, label]) => ({
+      value,
+      label,
+    })),
+  };
 };
 
 export const action = async ({ request }) => {
   const { authenticate } = await import("../shopify.server");
-  const { createExport } = await import("../../scripts/create-export");
+  const { getBulkOperation, startCatalogBulkOperation } = await import(
+    "../models/catalog.server"
+  );
+  const { OUTPUT_FORMATS } = await import("../../scripts/output-formats");
+  const { staffFromContext } = await import("../models/exportRecord.server");
+  const { previewResponse, runExport } = await import(
+    "../models/exportRun.server"
+  );
+  const { createExportJob, toJobStatus } = await import(
+    "../models/exportJob.server"
+  );
+  const { wakeExportWorker } = await import("../worker.server");
+  const { requestLogger } = await import("../logger.server");
+  const { getShopSettings } = await import("../models/shopSettings.server");
   const { Buffer } = await import("node:buffer");
+  const { Readable } = await import("node:stream");
 
-  await authenticate.admin(request);
+  const { admin, session, sessionToken } = await authenticate.admin(request);
+  const log = requestLogger(request, { shop: session.shop });
 
   const formData = await request.formData();
-  const productFile = formData.get("productFile");
+  const intent = formData.get("intent");
+  const isPreview = formData.get("preview") === "1";
+  // "delta" exports only the products changed since the last delta export
+  const isDelta = formData.get("mode") === "delta";
+  const bulkOperationId = formData.get("bulkOperationId");
+
+  if (intent === "startStoreExport") {
+    const { changesExportedAt } = isDelta
+      ? await getShopSettings(session.shop)
+      : {};
 
-  if (!productFile) {
-    return {
-      success: false,
-      error: "No file provided",
-    };
+    const started = await startCatalogBulkOperation(admin, {
+      search: changesExportedAt
+        ? `updated_at:>='${changesExportedAt.toISOString()}'`
+        : undefined,
+    });
+    if (started.error) {
+      log.warn("Store export not started", { error: started.error });
+    } else {
+      log.info("Store export started", {
+        bulkOperationId: started.bulkOperation.id,
+        delta: isDelta,
+      });
+    }
+    return started;
   }
 
-  // Convert the uploaded file to a buffer
-  const arrayBuffer = await productFile.arrayBuffer();
-  const fileBuffer = Buffer.from(arrayBuffer);
+  // What to export, as stored with a queued job
+  const options = {
+    source:
+      intent === "checkStoreExport" ? (isDelta ? "delta" : "store") : "upload",
+    profileId: formData.get("profileId") || null,
+    // Empty means the same format as the uploaded file
+    format: OUTPUT_FORMATS[formData.get("format")]
+      ? formData.get("format")
+      : undefined,
+    sheet: String(formData.get("sheet") || ""),
+    multiFileMode: formData.get("multiFileMode") || "merge",
+    // Languages to add to the export, as comma-separated locales
+    locales: String(formData.get("locales") || "")
+      .split(",")
+      .filter(Boolean),
+    localeMode: formData.get("localeMode") || "columns",
+  };
 
-  // Use createExport to process the file
-  const result = createExport({
-    file: fileBuffer,
-    filename: productFile.name,
-  });
+  let bulkOperation;
+  let productFiles = [];
+
+  if (intent === "checkStoreExport") {
+    bulkOperation = await getBulkOperation(admin, bulkOperationId);
 
-  if (result.success && result.buffer) {
-    return {
-      ...result,
-      buffer: Array.from(result.buffer),
-    };
+    if (["CREATED", "RUNNING"].includes(bulkOperation?.status)) {
+      return { bulkOperation };
+    }
+    options.bulkOperationId = bulkOperationId;
+  } else {
+    productFiles = formData.getAll("productFile");
+
+    if (productFiles.length === 0) {
+      return {
+        success: false,
+        error: "No file provided",
+      };
+    }
   }
 
-  return result;
+  // The export itself runs in the background; the page polls the job.
+  if (!isPreview) {
+    const job = await createExportJob(session.shop, {
+      ...staffFromContext({ session, sessionToken }),
+      options,
+      files: productFiles.map((file) => ({
+        filename: file.name,
+        stream: Readable.fromWeb(file.stream()),
+      })),
+    });
+    log.info("Export queued", {
+      exportId: job.id,
+      source: options.source,
+      files: job.inputFiles.map((file) => file.filename),
+    });
+    wakeExportWorker();
+
+    return { job: toJobStatus(job) };
+  }
+
+  // A preview is a dry run: nothing is stored or recorded.
+  const run = await runExport({
+    admin,
+    shop: session.shop,
+    options,
+    files: productFiles.map((file) => ({
+      filename: file.name,
+      size: file.size,
+      read: async () => Buffer.from(await file.arrayBuffer()),
+      stream: () => Readable.fromWeb(file.stream()),
+    })),
+    bulkOperation,
+    preview: true,
+    log,
+  });
+
+  return run.result.success
+    ? { preview: previewResponse(run), bulkOperationId }
+    : run.result;
 };
 
 export default function Index() {
+  const { profiles, formats, multiFileModes, locales, localeModes } =
+    useLoaderData();
   const fetcher = useFetcher();
+  const jobFetcher = useFetcher();
   const shopify = useAppBridge();
-  const [file, setFile] = useState(null);
+  const [files, setFiles] = useState([]);
+  const [multiFileMode, setMultiFileMode] = useState("merge");
+  const [selectedLocales, setSelectedLocales] = useState([]);
+  const [localeMode, setLocaleMode] = useState("columns");
+  const [profileId, setProfileId] = useState(
+    profiles.find((profile) => profile.isDefault)?.id || "",
+  );
   const [fileInputKey, setFileInputKey] = useState(Date.now());
+  const [source, setSource] = useState("upload");
+  const [format, setFormat] = useState("");
+  const [sheet, setSheet] = useState("");
+  const [sheets, setSheets] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [lastExport, setLastExport] = useState(null);
+  const [job, setJob] = useState(null);
+  const bulkOperation = fetcher.data?.bulkOperation;
+  const submit = fetcher.submit;
+  const loadJob = jobFetcher.load;
+  const mode = source === "delta" ? "delta" : "full";
 
+  // Poll the bulk operation until Shopify has finished building the catalog.
   useEffect(() => {
-    if (fetcher.data?.success) {
-      const message = `Export created: ${fetcher.data.filename} (${fetcher.data.rowCount} rows)`;
+    if (!bulkOperation) return;
 
-      shopify.toast.show(message);
+    const timeout = setTimeout(() => {
+      submit(
+        {
+          intent: "checkStoreExport",
+          bulkOperationId: bulkOperation.id,
+          profileId,
+          format,
+          mode,
+          locales: selectedLocales.join(","),
+          localeMode,
+          preview: "1",
+        },
+        { method: "POST" },
+      );
+    }, 3000);
 
-      // Convert array back to Uint8Array for blob
-      const uint8Array = new Uint8Array(fetcher.data.buffer);
+    return () => clearTimeout(timeout);
+  }, [
+    bulkOperation,
+    profileId,
+    format,
+    mode,
+    selectedLocales,
+    localeMode,
+    submit,
+  ]);
 
-      // Trigger download of the exported file
-      const blob = new Blob([uint8Array], {
-        type: fetcher.data.filename.endsWith(".xlsx")
-          ? "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
-          : "text/csv",
+  useEffect(() => {
+    if (fetcher.data?.preview) {
+      if (fetcher.data.preview.input?.sheets) {
+        setSheets(fetcher.data.preview.input.sheets);
+      }
+      setPreview({
+        ...fetcher.data.preview,
+        bulkOperationId: fetcher.data.bulkOperationId,
       });
-      const url = URL.createObjectURL(blob);
-      const link = document.createElement("a");
-      link.href = url;
-      link.download = fetcher.data.filename;
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      URL.revokeObjectURL(url);
-
-      // Clear file input after successful export
-      setFile(null);
-      setFileInputKey(Date.now());
+    } else if (fetcher.data?.job) {
+      setJob(fetcher.data.job);
     } else if (fetcher.data?.error) {
       shopify.toast.show(fetcher.data.error, { isError: true });
     }
   }, [fetcher.data, shopify]);
 
+  useEffect(() => {
+    if (jobFetcher.data?.job) {
+      setJob(jobFetcher.data.job);
+    }
+  }, [jobFetcher.data]);
+
+  // Poll the export job until the worker has finished it.
+  useEffect(() => {
+    if (!job || !["queued", "running"].includes(job.status)) return;
+
+    const timeout = setTimeout(() => loadJob(`/app/jobs/${job.id}`), 1000);
+
+    return () => clearTimeout(timeout);
+  }, [job, loadJob]);
+
+  useEffect(() => {
+    if (job?.status === "success") {
+      const { input, stats } = job.result;
+      const details = [
+        `${job.result.rowCount} rows`,
+        stats && `${stats.rowsPerSecond} rows/s`,
+        stats && `peak ${Math.round(stats.peakMemoryBytes / 1024 / 1024)} MB`,
+        describeInput(input),
+      ].filter(Boolean);
+      const message = `Export created: ${job.result.filename} (${details.join(", ")})`;
+
+      shopify.toast.show(message);
+
+      downloadExport(job.result.downloadUrl, job.result.filename).catch(
+        (error) => shopify.toast.show(error.message, { isError: true }),
+      );
+      setLastExport(job.result);
+
+      // Clear file input after successful export
+      setFiles([]);
+      setFileInputKey(Date.now());
+      setJob(null);
+    } else if (job?.status === "failed") {
+      shopify.toast.show(job.error, { isError: true });
+      setJob(null);
+    } else if (job?.status === "cancelled") {
+      shopify.toast.show("Export cancelled");
+      setJob(null);
+    }
+  }, [job, shopify]);
+
   const handleFileChange = (event) => {
-    const files = event.target.files;
-    if (files && files.length > 0) {
-      setFile(files[0]);
+    const selected = event.target.files;
+    if (selected && selected.length > 0) {
+      setFiles([...selected]);
+      setSheet("");
+      setSheets(null);
     }
   };
 
-  const handleFileTransfer = () => {
-    if (!file) {
+  // Uploads are previewed first; the export itself runs on confirmation.
+  const handleFileTransfer = (confirmed = false, selectedSheet = sheet) => {
+    if (files.length === 0) {
       shopify.toast.show("Please select a file first", { isError: true });
       return;
     }
     const formData = new FormData();
-    formData.append("productFile", file);
+    files.forEach((file) => formData.append("productFile", file));
+    formData.append("multiFileMode", multiFileMode);
+    formData.append("profileId", profileId);
+    formData.append("format", format);
+    formData.append("sheet", selectedSheet);
+    // Several files are exported without translations
+    if (files.length === 1) {
+      formData.append("locales", selectedLocales.join(","));
+      formData.append("localeMode", localeMode);
+    }
+    if (!confirmed) {
+      formData.append("preview", "1");
+      setLastExport(null);
+    }
     fetcher.submit(formData, { method: "POST", encType: "multipart/form-data" });
   };
 
+  const handleDownload = (url, filename) => {
+    downloadExport(url, filename).catch((error) =>
+      shopify.toast.show(error.message, { isError: true }),
+    );
+  };
+
+  // Picking another sheet previews the file again
+  const handleSheetChange = (event) => {
+    setSheet(event.currentTarget.value);
+    handleFileTransfer(false, event.currentTarget.value);
+  };
+
+  const handleStoreExport = () => {
+    setPreview(null);
+    setLastExport(null);
+    fetcher.submit({ intent: "startStoreExport", mode }, { method: "POST" });
+  };
+
+  const handleConfirm = () => {
+    if (preview.bulkOperationId) {
+      fetcher.submit(
+        {
+          intent: "checkStoreExport",
+          bulkOperationId: preview.bulkOperationId,
+          profileId,
+          format,
+          mode,
+          locales: selectedLocales.join(","),
+          localeMode,
+        },
+        { method: "POST" },
+      );
+    } else {
+      handleFileTransfer(true);
+    }
+    setPreview(null);
+  };
+
+  const handleCancelJob = () => {
+    jobFetcher.submit(null, { method: "POST", action: `/app/jobs/${job.id}` });
+  };
+
+  const handleLocaleChange = (locale, checked) => {
+    setSelectedLocales((current) =>
+      checked
+        ? [...current, locale]
+        : current.filter((value) => value !== locale),
+    );
+  };
+
+  const isExporting =
+    fetcher.state !== "idle" || Boolean(bulkOperation) || Boolean(job);
+  const canTranslate =
+    locales.length > 0 && (source !== "upload" || files.length <= 1);
+
   return (
     <s-page heading="Goossens Product Exporter">
       <s-section heading="Product Export">
@@ -113,43 +402,243 @@ export default function Index() {
 
       <s-section heading="File Upload">
         <s-stack vertical spacing="loose">
-          <s-text>Upload your product file (XLSX or CSV format)</s-text>
-          <div style={{
-            padding: '1rem 0',
-            border: '1px solid var(--p-color-border)',
-            borderRadius: 'var(--p-border-radius-200)',
-            backgroundColor: 'var(--p-color-bg-surface)'
-          }}>
-            <input
-              key={fileInputKey}
-              type="file"
-              accept=".xlsx,.csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet,text/csv"
-              onChange={handleFileChange}
-              style={{
-                width: '100%',
-                padding: '0.5rem',
-                marginBottom: '0.5rem',
-                fontSize: '14px',
-                cursor: 'pointer',
-                border: '1px solid #c4cdd5',
-                borderRadius: '4px'
-              }}
-            />
-            {file && (
-              <s-text variant="bodySm" style={{ marginTop: '0.5rem', display: 'block', fontWeight: '500' }}>
-                Selected: {file.name}
-              </s-text>
+          <s-select
+            label="Source"
+            value={source}
+            onChange={(event) => setSource(event.currentTarget.value)}
+          >
+            <s-option value="upload">Upload product files</s-option>
+            <s-option value="store">Export from store</s-option>
+            <s-option value="delta">Changes since last export</s-option>
+          </s-select>
+          {source === "upload" ? (
+            <>
+              <s-text>Upload one or more product files (XLSX or CSV format)</s-text>
+              <div style={{
+                padding: '1rem 0',
+                border: '1px solid var(--p-color-border)',
+                borderRadius: 'var(--p-border-radius-200)',
+                backgroundColor: 'var(--p-color-bg-surface)'
+              }}>
+                <input
+                  key={fileInputKey}
+                  type="file"
+                  multiple
+                  accept=".xlsx,.csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet,text/csv"
+                  onChange={handleFileChange}
+                  style={{
+                    width: '100%',
+                    padding: '0.5rem',
+                    marginBottom: '0.5rem',
+                    fontSize: '14px',
+                    cursor: 'pointer',
+                    border: '1px solid #c4cdd5',
+                    borderRadius: '4px'
+                  }}
+                />
+                {files.length > 0 && (
+                  <s-text variant="bodySm" style={{ marginTop: '0.5rem', display: 'block', fontWeight: '500' }}>
+                    Selected: {files.map((file) => file.name).join(", ")}
+                  </s-text>
+                )}
+              </div>
+              {files.length > 1 && (
+                <s-select
+                  label="Several files"
+                  value={multiFileMode}
+                  onChange={(event) => setMultiFileMode(event.currentTarget.value)}
+                >
+                  {multiFileModes.map((option) => (
+                    <s-option key={option.value} value={option.value}>
+                      {option.label}
+                    </s-option>
+                  ))}
+                </s-select>
+              )}
+              {files.length === 1 && sheets?.length > 1 && (
+                <s-select
+                  label="Sheet"
+                  value={sheet}
+                  onChange={handleSheetChange}
+                >
+                  <s-option value="">{sheets[0]} (first sheet)</s-option>
+                  {sheets.slice(1).map((name) => (
+                    <s-option key={name} value={name}>
+                      {name}
+                    </s-option>
+                  ))}
+                  <s-option value="*">All sheets with the same headers</s-option>
+                </s-select>
+              )}
+            </>
+          ) : null}
+          <s-select
+            label="Output format"
+            value={format}
+            onChange={(event) => setFormat(event.currentTarget.value)}
+          >
+            <s-option value="">
+              {source === "upload" ? "Same as uploaded file" : "CSV (comma)"}
+            </s-option>
+            {formats.map((option) => (
+              <s-option key={option.value} value={option.value}>
+                {option.label}
+              </s-option>
+            ))}
+          </s-select>
+          {canTranslate && (
+            <s-stack gap="base">
+              <s-text type="strong">Languages</s-text>
+              {locales.map((locale) => (
+                <s-checkbox
+                  key={locale.value}
+                  label={`${locale.label} (${locale.value})`}
+                  checked={selectedLocales.includes(locale.value)}
+                  onChange={(event) =>
+                    handleLocaleChange(locale.value, event.currentTarget.checked)
+                  }
+                />
+              ))}
+              {selectedLocales.length > 0 && (
+                <s-select
+                  label="Languages in the export"
+                  details="Missing translations use the primary language and are listed in a Missing Translations column."
+                  value={localeMode}
+                  onChange={(event) => setLocaleMode(event.currentTarget.value)}
+                >
+                  {localeModes.map((option) => (
+                    <s-option key={option.value} value={option.value}>
+                      {option.label}
+                    </s-option>
+                  ))}
+                </s-select>
+              )}
+            </s-stack>
+          )}
+          <s-select
+            label="Export profile"
+            value={profileId}
+            onChange={(event) => setProfileId(event.currentTarget.value)}
+          >
+            {!profiles.some((profile) => profile.isDefault) && (
+              <s-option value="">Built-in default</s-option>
             )}
-          </div>
+            {profiles.map((profile) => (
+              <s-option key={profile.id} value={profile.id}>
+                {profile.name}
+              </s-option>
+            ))}
+          </s-select>
+          {bulkOperation && (
+            <s-text>
+              Reading catalog from Shopify… {bulkOperation.objectCount || 0}{" "}
+              objects so far
+            </s-text>
+          )}
           <s-button
-            onClick={handleFileTransfer}
+            onClick={
+              source === "upload"
+                ? () => handleFileTransfer()
+                : handleStoreExport
+            }
             variant="primary"
-            loading={fetcher.state === "submitting"}
+            loading={isExporting}
           >
-            Transfer
+            {source === "upload"
+              ? "Transfer"
+              : source === "delta"
+                ? "Export changes"
+                : "Export from store"}
           </s-button>
         </s-stack>
       </s-section>
+
+      {job && (
+        <s-section heading="Export progress">
+          <s-stack gap="base">
+            <s-paragraph>
+              {job.status === "queued"
+                ? "Waiting for earlier exports to finish…"
+                : `${JOB_PHASES[job.phase] || "Starting"}… ${job.progress}%`}
+            </s-paragraph>
+            {job.inputRowCount > 0 && (
+              <s-paragraph>
+                {job.inputRowCount} rows read, {job.rowCount} rows exported
+              </s-paragraph>
+            )}
+            <s-button
+              onClick={handleCancelJob}
+              loading={jobFetcher.state === "submitting"}
+            >
+              Cancel export
+            </s-button>
+          </s-stack>
+        </s-section>
+      )}
+
+      {preview && (
+        <ExportPreview
+          preview={preview}
+          loading={isExporting}
+          onConfirm={handleConfirm}
+          onCancel={() => setPreview(null)}
+        />
+      )}
+
+      {lastExport?.files && (
+        <s-section heading="Files">
+          <FileSummary files={lastExport.files} />
+        </s-section>
+      )}
+
+      {lastExport?.missingTranslationCount > 0 && (
+        <s-section heading="Translations">
+          <s-paragraph>
+            {lastExport.missingTranslationCount} products are missing
+            translations. They use the primary language and are flagged in the
+            Missing Translations column.
+          </s-paragraph>
+        </s-section>
+      )}
+
+      {lastExport?.deletedDownloadUrl && (
+        <s-section heading="Deleted SKUs">
+          <s-stack gap="base">
+            <s-paragraph>
+              {lastExport.deletedSkuCount} SKUs were deleted since the previous
+              export of changes.
+            </s-paragraph>
+            <s-button
+              onClick={() =>
+                handleDownload(
+                  lastExport.deletedDownloadUrl,
+                  lastExport.deletedFilename,
+                )
+              }
+            >
+              Download deleted SKUs
+            </s-button>
+          </s-stack>
+        </s-section>
+      )}
+
+      {lastExport && (
+        <ValidationIssues
+          issues={lastExport.issues}
+          counts={lastExport.issueCounts}
+          onDownloadIssues={
+            lastExport.issuesDownloadUrl &&
+            (() =>
+              handleDownload(
+                lastExport.issuesDownloadUrl,
+                lastExport.issuesFilename,
+              ))
+          }
+          onDownloadExport={() =>
+            handleDownload(lastExport.downloadUrl, lastExport.filename)
+          }
+        />
+      )}
     </s-page>
   );
 }
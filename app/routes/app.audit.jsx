@@ -0,0 +1,81 @@
+import { Form, useLoaderData } from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import { getAuditEvents } from "../models/auditLog.server";
+
+const ACTIONS = {
+  export: { label: "Export", tone: "info" },
+  import: { label: "Import", tone: "warning" },
+  settings: { label: "Settings", tone: "neutral" },
+};
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const url = new URL(request.url);
+  const action = url.searchParams.get("action") || "";
+
+  return {
+    action,
+    events: await getAuditEvents(session.shop, { action }),
+  };
+};
+
+export default function AuditLog() {
+  const { action, events } = useLoaderData();
+
+  return (
+    <s-page heading="Audit log">
+      <s-section heading="Activity">
+        <Form method="get">
+          <s-stack direction="inline" gap="base">
+            <s-select label="Action" name="action" value={action}>
+              <s-option value="">All actions</s-option>
+              {Object.entries(ACTIONS).map(([value, { label }]) => (
+                <s-option key={value} value={value}>
+                  {label}
+                </s-option>
+              ))}
+            </s-select>
+            <s-button type="submit">Filter</s-button>
+          </s-stack>
+        </Form>
+
+        {events.length === 0 ? (
+          <s-paragraph>Nothing has been recorded yet.</s-paragraph>
+        ) : (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header listSlot="primary">Date</s-table-header>
+              <s-table-header>Staff</s-table-header>
+              <s-table-header>Action</s-table-header>
+              <s-table-header>What</s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {events.map((event) => (
+                <s-table-row key={event.id}>
+                  <s-table-cell>
+                    {new Date(event.createdAt).toLocaleString()}
+                  </s-table-cell>
+                  <s-table-cell>
+                    {event.userName || event.userId || "—"}
+                  </s-table-cell>
+                  <s-table-cell>
+                    <s-badge tone={ACTIONS[event.action]?.tone}>
+                      {ACTIONS[event.action]?.label || event.action}
+                    </s-badge>
+                  </s-table-cell>
+                  <s-table-cell>{event.summary}</s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+      </s-section>
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
@@ -0,0 +1,30 @@
+import { Readable } from "node:stream";
+import { authenticate } from "../shopify.server";
+import { getExportFile, openExportFile } from "../models/exportFile.server";
+
+// Resource route: streams a stored export file back to the browser.
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+
+  const file = await getExportFile(params.id, session.shop);
+  if (!file) {
+    throw new Response("Export not found", { status: 404 });
+  }
+
+  // Header values must be ASCII: the plain filename is a fallback, browsers
+  // use the UTF-8 one
+  const asciiFilename = file.filename.replace(/[^\x20-\x7e]|["\\]/g, "_");
+  const encodedFilename = encodeURIComponent(file.filename).replace(
+    /['()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`,
+  );
+
+  return new Response(Readable.toWeb(openExportFile(file.id, session.shop)), {
+    headers: {
+      "Content-Type": file.contentType,
+      "Content-Length": String(file.size),
+      "Content-Disposition": `attachment; filename="${asciiFilename}"; filename*=UTF-8''${encodedFilename}`,
+      "Cache-Control": "private, no-store",
+    },
+  });
+};
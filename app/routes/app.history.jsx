@@ -0,0 +1,213 @@
+import {
+  Form,
+  useActionData,
+  useLoaderData,
+  useNavigation,
+} from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import {
+  getExportRecords,
+  purgeExpiredExports,
+  staffFromContext,
+} from "../models/exportRecord.server";
+import { recordAuditEvent } from "../models/auditLog.server";
+import { exportDownloadUrl } from "../models/exportFile.server";
+import { OUTPUT_FORMATS } from "../../scripts/output-formats";
+import {
+  getShopSettings,
+  updateShopSettings,
+} from "../models/shopSettings.server";
+import { downloadExport } from "../utils/download";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const url = new URL(request.url);
+  const filters = {
+    status: url.searchParams.get("status") || "",
+    format: url.searchParams.get("format") || "",
+    query: url.searchParams.get("query") || "",
+  };
+
+  const [records, settings] = await Promise.all([
+    getExportRecords(session.shop, filters),
+    getShopSettings(session.shop),
+  ]);
+
+  return {
+    filters,
+    formats: Object.entries(OUTPUT_FORMATS).map(([value, { label }]) => ({
+      value,
+      label,
+    })),
+    retentionDays: settings.historyRetentionDays,
+    records: records.map((record) => ({
+      ...record,
+      downloadUrl: record.fileId ? exportDownloadUrl(record.fileId) : null,
+    })),
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session, sessionToken } = await authenticate.admin(request);
+
+  const formData = await request.formData();
+  const retentionDays = Number(formData.get("retentionDays"));
+
+  if (!Number.isInteger(retentionDays) || retentionDays < 1) {
+    return { error: "Retention must be a whole number of days" };
+  }
+
+  await updateShopSettings(session.shop, {
+    historyRetentionDays: retentionDays,
+  });
+  await recordAuditEvent(session.shop, {
+    ...staffFromContext({ session, sessionToken }),
+    action: "settings",
+    summary: `Set export file retention to ${retentionDays} days`,
+  });
+  const purged = await purgeExpiredExports(session.shop);
+
+  return { purged };
+};
+
+function formatDuration(ms) {
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+export default function History() {
+  const { filters, formats, records, retentionDays } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+  const shopify = useAppBridge();
+
+  const handleDownload = (record) => {
+    downloadExport(record.downloadUrl, record.outputFilename).catch((error) =>
+      shopify.toast.show(error.message, { isError: true }),
+    );
+  };
+
+  return (
+    <s-page heading="Export history">
+      <s-section heading="Exports">
+        <Form method="get">
+          <s-stack direction="inline" gap="base">
+            <s-search-field
+              label="Search"
+              labelAccessibilityVisibility="exclusive"
+              name="query"
+              placeholder="Filename or staff member"
+              defaultValue={filters.query}
+            />
+            <s-select label="Status" name="status" value={filters.status}>
+              <s-option value="">All statuses</s-option>
+              <s-option value="success">Success</s-option>
+              <s-option value="failed">Failed</s-option>
+            </s-select>
+            <s-select label="Format" name="format" value={filters.format}>
+              <s-option value="">All formats</s-option>
+              {formats.map((option) => (
+                <s-option key={option.value} value={option.value}>
+                  {option.label}
+                </s-option>
+              ))}
+            </s-select>
+            <s-button type="submit">Filter</s-button>
+          </s-stack>
+        </Form>
+
+        {records.length === 0 ? (
+          <s-paragraph>No exports match these filters.</s-paragraph>
+        ) : (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header listSlot="primary">Date</s-table-header>
+              <s-table-header>Staff</s-table-header>
+              <s-table-header>Source</s-table-header>
+              <s-table-header>Output</s-table-header>
+              <s-table-header format="numeric">Rows</s-table-header>
+              <s-table-header format="numeric">Columns removed</s-table-header>
+              <s-table-header format="numeric">Duration</s-table-header>
+              <s-table-header>Status</s-table-header>
+              <s-table-header></s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {records.map((record) => (
+                <s-table-row key={record.id}>
+                  <s-table-cell>
+                    {new Date(record.createdAt).toLocaleString()}
+                  </s-table-cell>
+                  <s-table-cell>
+                    {record.userName || record.userId || "—"}
+                  </s-table-cell>
+                  <s-table-cell>
+                    {record.source === "store"
+                      ? "Store catalog"
+                      : record.source === "delta"
+                        ? "Store changes"
+                        : record.source === "schedule"
+                          ? `Schedule: ${record.sourceFilename}`
+                          : record.sourceFilename}
+                  </s-table-cell>
+                  <s-table-cell>{record.outputFilename || "—"}</s-table-cell>
+                  <s-table-cell>
+                    {record.rowCount} / {record.inputRowCount}
+                  </s-table-cell>
+                  <s-table-cell>{record.removedColumns.length}</s-table-cell>
+                  <s-table-cell>
+                    {formatDuration(record.durationMs)}
+                  </s-table-cell>
+                  <s-table-cell>
+                    {record.status === "success" ? (
+                      <s-badge tone="success">Success</s-badge>
+                    ) : (
+                      <s-badge tone="critical">
+                        {record.error || "Failed"}
+                      </s-badge>
+                    )}
+                  </s-table-cell>
+                  <s-table-cell>
+                    {record.downloadUrl ? (
+                      <s-button
+                        variant="tertiary"
+                        onClick={() => handleDownload(record)}
+                      >
+                        Download
+                      </s-button>
+                    ) : (
+                      record.fileDeletedAt && <s-text>Purged</s-text>
+                    )}
+                  </s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+      </s-section>
+
+      <s-section slot="aside" heading="Retention">
+        <Form method="post">
+          <s-stack gap="base">
+            <s-number-field
+              label="Keep export files for (days)"
+              name="retentionDays"
+              min={1}
+              defaultValue={String(retentionDays)}
+              error={actionData?.error}
+              details="Older files are deleted. Their history entries are kept."
+            />
+            <s-button type="submit" loading={navigation.state === "submitting"}>
+              Save
+            </s-button>
+          </s-stack>
+        </Form>
+      </s-section>
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
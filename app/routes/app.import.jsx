@@ -0,0 +1,248 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData } from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import { getLocations } from "../models/inventory.server";
+import { FeedbackChanges } from "../components/FeedbackChanges";
+import { downloadExport } from "../utils/download";
+
+// Only the first rows are sent to the page; the report has them all.
+const MAX_ROWS_SHOWN = 100;
+
+export const loader = async ({ request }) => {
+  const { admin } = await authenticate.admin(request);
+
+  return { locations: await getLocations(admin) };
+};
+
+// Checks a feedback file against the shop (a dry run) or, with intent
+// "apply", applies the changes confirmed in the dry run. Either way a
+// per-row report is stored.
+export const action = async ({ request }) => {
+  const { readInput } = await import("../../scripts/create-export");
+  const {
+    confirmFeedbackChanges,
+    confirmableChanges,
+    countFeedbackStatuses,
+    feedbackReportToCSV,
+    parseFeedbackRows,
+    planFeedbackChanges,
+  } = await import("../../scripts/feedback-import");
+  const { applyFeedbackChanges, fetchVariantsBySku } =
+    await import("../models/feedbackImport.server");
+  const { exportDownloadUrl, saveExportFile } =
+    await import("../models/exportFile.server");
+  const { recordAuditEvent } = await import("../models/auditLog.server");
+  const { purgeExpiredExports, staffFromContext } =
+    await import("../models/exportRecord.server");
+  const { Buffer } = await import("node:buffer");
+
+  const { admin, session, sessionToken } = await authenticate.admin(request);
+
+  const formData = await request.formData();
+  const file = formData.get("feedbackFile");
+  const locationId = String(formData.get("locationId") || "");
+  const isApply = formData.get("intent") === "apply";
+
+  if (!file || typeof file === "string") {
+    return { error: "No file provided" };
+  }
+  if (!locationId) {
+    return { error: "Choose the location to set quantities at" };
+  }
+
+  const read = readInput({
+    file: Buffer.from(await file.arrayBuffer()),
+    filename: file.name,
+  });
+  if (!read.success) {
+    return { error: read.error };
+  }
+  const { entries, error } = parseFeedbackRows(read.rows);
+  if (error) {
+    return { error };
+  }
+
+  const variants = await fetchVariantsBySku(
+    admin,
+    entries.map((entry) => entry.sku),
+    locationId,
+  );
+  let rows = planFeedbackChanges(entries, variants);
+  if (isApply) {
+    let confirmed;
+    try {
+      confirmed = JSON.parse(String(formData.get("confirmed") || "[]"));
+    } catch {
+      confirmed = [];
+    }
+    rows = confirmFeedbackChanges(rows, confirmed);
+    rows = await applyFeedbackChanges(admin, rows, locationId);
+    const { applied, failed, stale } = countFeedbackStatuses(rows);
+    await recordAuditEvent(session.shop, {
+      ...staffFromContext({ session, sessionToken }),
+      action: "import",
+      summary: `Imported ${file.name}: ${applied} applied, ${failed} failed, ${stale} changed since the dry run`,
+    });
+  }
+
+  const report = await saveExportFile(
+    session.shop,
+    `${file.name.replace(/\.[^.]+$/, "")}-${isApply ? "import" : "dry-run"}-report.csv`,
+    Buffer.from(feedbackReportToCSV(rows), "utf-8"),
+  );
+  // Reports expire with the shop's exports
+  await purgeExpiredExports(session.shop);
+
+  return {
+    applied: isApply,
+    counts: countFeedbackStatuses(rows),
+    rowCount: rows.length,
+    rows: rows.slice(0, MAX_ROWS_SHOWN),
+    // Sent back on apply, which only makes these changes
+    changes: isApply ? [] : confirmableChanges(rows),
+    reportFilename: report.filename,
+    reportDownloadUrl: exportDownloadUrl(report.id),
+  };
+};
+
+export default function Import() {
+  const { locations } = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+  const [file, setFile] = useState(null);
+  const [fileInputKey, setFileInputKey] = useState(Date.now());
+  const [locationId, setLocationId] = useState(locations[0]?.id || "");
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    if (fetcher.data?.error) {
+      shopify.toast.show(fetcher.data.error, { isError: true });
+    } else if (fetcher.data?.counts) {
+      setResult(fetcher.data);
+      if (fetcher.data.applied) {
+        const { applied, failed } = fetcher.data.counts;
+        shopify.toast.show(
+          `${applied} rows applied${failed ? `, ${failed} failed` : ""}`,
+          { isError: failed > 0 },
+        );
+        setFile(null);
+        setFileInputKey(Date.now());
+      }
+    }
+  }, [fetcher.data, shopify]);
+
+  const submit = (intent) => {
+    if (!file) {
+      shopify.toast.show("Please select a file first", { isError: true });
+      return;
+    }
+    const formData = new FormData();
+    formData.append("feedbackFile", file);
+    formData.append("locationId", locationId);
+    formData.append("intent", intent);
+    if (intent === "apply") {
+      formData.append("confirmed", JSON.stringify(result.changes));
+    }
+    fetcher.submit(formData, {
+      method: "POST",
+      encType: "multipart/form-data",
+    });
+  };
+
+  const isBusy = fetcher.state !== "idle";
+  const changeCount = result && !result.applied ? result.counts.change : 0;
+
+  return (
+    <s-page heading="Import Goossens feedback">
+      <s-section heading="Feedback file">
+        <s-stack gap="base">
+          <s-paragraph>
+            Upload the CSV or XLSX file with SKU, agreed price and available
+            quantity. Rows are matched to variants by SKU and checked first;
+            nothing changes in Shopify until you apply them.
+          </s-paragraph>
+          <input
+            key={fileInputKey}
+            type="file"
+            accept=".xlsx,.csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet,text/csv"
+            onChange={(event) => {
+              setFile(event.target.files?.[0] || null);
+              setResult(null);
+            }}
+          />
+          <s-select
+            label="Location for available quantities"
+            value={locationId}
+            onChange={(event) => {
+              setLocationId(event.currentTarget.value);
+              setResult(null);
+            }}
+          >
+            {locations.map((location) => (
+              <s-option key={location.id} value={location.id}>
+                {location.name}
+              </s-option>
+            ))}
+          </s-select>
+          <s-stack direction="inline" gap="base">
+            <s-button
+              onClick={() => submit("check")}
+              loading={isBusy && fetcher.formData?.get("intent") === "check"}
+            >
+              Check changes (dry run)
+            </s-button>
+            {changeCount > 0 && (
+              <s-button
+                variant="primary"
+                onClick={() => submit("apply")}
+                loading={isBusy && fetcher.formData?.get("intent") === "apply"}
+              >
+                Apply {changeCount} changes
+              </s-button>
+            )}
+          </s-stack>
+        </s-stack>
+      </s-section>
+
+      {result && (
+        <s-section heading={result.applied ? "Import result" : "Dry run"}>
+          <s-stack gap="base">
+            <s-paragraph>
+              {result.applied
+                ? `${result.counts.applied} applied, ${result.counts.failed} failed, ${result.counts.stale} changed since the dry run`
+                : `${result.counts.change} will change`}
+              , {result.counts.unchanged} unchanged,{" "}
+              {result.counts["not-found"]} not found,{" "}
+              {result.counts.invalid + result.counts.duplicate} skipped.
+            </s-paragraph>
+            <s-button
+              onClick={() =>
+                downloadExport(
+                  result.reportDownloadUrl,
+                  result.reportFilename,
+                ).catch((error) =>
+                  shopify.toast.show(error.message, { isError: true }),
+                )
+              }
+            >
+              Download report
+            </s-button>
+            {result.rowCount > result.rows.length && (
+              <s-paragraph>
+                Showing the first {result.rows.length} of {result.rowCount}{" "}
+                rows.
+              </s-paragraph>
+            )}
+            <FeedbackChanges rows={result.rows} />
+          </s-stack>
+        </s-section>
+      )}
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
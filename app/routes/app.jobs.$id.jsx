@@ -0,0 +1,29 @@
+import { authenticate } from "../shopify.server";
+import {
+  cancelExportJob,
+  getExportJob,
+  toJobStatus,
+} from "../models/exportJob.server";
+
+// Resource route: the status of a queued export, polled by the export page.
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+
+  const job = await getExportJob(params.id, session.shop);
+  if (!job) {
+    throw new Response("Export job not found", { status: 404 });
+  }
+
+  return { job: toJobStatus(job) };
+};
+
+export const action = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+
+  const job = await cancelExportJob(params.id, session.shop);
+  if (!job) {
+    throw new Response("Export job not found", { status: 404 });
+  }
+
+  return { job: toJobStatus(job) };
+};
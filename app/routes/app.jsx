@@ -17,6 +17,11 @@ export default function App() {
     <AppProvider embedded apiKey={apiKey}>
       <s-app-nav>
         <s-link href="/app">Home</s-link>
+        <s-link href="/app/history">Export history</s-link>
+        <s-link href="/app/profiles">Export profiles</s-link>
+        <s-link href="/app/schedules">Scheduled exports</s-link>
+        <s-link href="/app/import">Import feedback</s-link>
+        <s-link href="/app/audit">Audit log</s-link>
         {/* <s-link href="/app/additional">Additional page</s-link> */}
       </s-app-nav>
       <Outlet />
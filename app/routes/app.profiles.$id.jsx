@@ -0,0 +1,414 @@
+import {
+  Form,
+  redirect,
+  useActionData,
+  useLoaderData,
+  useNavigation,
+} from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import {
+  deleteExportProfile,
+  getExportProfile,
+  newExportProfile,
+  saveExportProfile,
+  validateExportProfile,
+} from "../models/exportProfile.server";
+import {
+  formatMappingLines,
+  parseMappingLines,
+} from "../../scripts/column-mapping";
+import { formatFilterLines, parseFilterLines } from "../../scripts/row-filter";
+import { formatPriceLines, parsePriceLines } from "../../scripts/price-rules";
+import {
+  formatMetafieldLines,
+  parseMetafieldLines,
+} from "../../scripts/metafields";
+import { getCurrencyRates } from "../models/shopSettings.server";
+import { getLocations } from "../models/inventory.server";
+import { recordAuditEvent } from "../models/auditLog.server";
+import { staffFromContext } from "../models/exportRecord.server";
+
+// Textareas hold one entry per line.
+function parseLines(value) {
+  return String(value || "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+}
+
+export const loader = async ({ request, params }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const locations = await getLocations(admin);
+
+  if (params.id === "new") {
+    return { profile: newExportProfile(), locations };
+  }
+
+  const profile = await getExportProfile(params.id, session.shop);
+  if (!profile) {
+    throw new Response("Profile not found", { status: 404 });
+  }
+
+  return { profile, locations };
+};
+
+export const action = async ({ request, params }) => {
+  const { admin, session, sessionToken } = await authenticate.admin(request);
+  const id = params.id === "new" ? null : params.id;
+  const audit = (summary) =>
+    recordAuditEvent(session.shop, {
+      ...staffFromContext({ session, sessionToken }),
+      action: "settings",
+      summary,
+    });
+
+  const formData = await request.formData();
+
+  if (formData.get("intent") === "delete") {
+    const profile = await getExportProfile(id, session.shop);
+    await deleteExportProfile(id, session.shop);
+    if (profile) await audit(`Deleted profile "${profile.name}"`);
+    return redirect("/app/profiles");
+  }
+
+  let columnMapping;
+  try {
+    columnMapping = parseMappingLines(formData.get("columnMapping"));
+  } catch (error) {
+    return { errors: { columnMapping: error.message } };
+  }
+
+  let rowFilters;
+  try {
+    rowFilters = parseFilterLines(formData.get("rowFilters"));
+  } catch (error) {
+    return { errors: { rowFilters: error.message } };
+  }
+
+  let metafields;
+  try {
+    metafields = parseMetafieldLines(formData.get("metafields"));
+  } catch (error) {
+    return { errors: { metafields: error.message } };
+  }
+
+  // Locations are stored with their name, which heads their stock column
+  const locationIds = formData.getAll("inventoryLocations");
+  const inventoryLocations = (await getLocations(admin))
+    .filter((location) => locationIds.includes(location.id))
+    .map(({ id, name }) => ({ id, name }));
+  const minimumStock = String(formData.get("minimumStock") || "").trim();
+
+  const data = {
+    name: String(formData.get("name") || "").trim(),
+    isDefault: formData.has("isDefault"),
+    removePrefixes: parseLines(formData.get("removePrefixes")),
+    removeExact: parseLines(formData.get("removeExact")),
+    removePatterns: parseLines(formData.get("removePatterns")),
+    keepColumns: parseLines(formData.get("keepColumns")),
+    columnMapping,
+    includeUnmappedColumns: formData.has("includeUnmappedColumns"),
+    fillDown: formData.has("fillDown"),
+    fillDownColumns: parseLines(formData.get("fillDownColumns")),
+    imageMode: String(formData.get("imageMode") || "none"),
+    imageDelimiter: String(formData.get("imageDelimiter") ?? ";"),
+    imageColumns: Number(formData.get("imageColumns")),
+    metafields,
+    metafieldDelimiter: String(formData.get("metafieldDelimiter") ?? "; "),
+    inventoryMode: String(formData.get("inventoryMode") || "none"),
+    inventoryLocations,
+    minimumStock: minimumStock === "" ? null : Number(minimumStock),
+    belowMinimumStock: String(formData.get("belowMinimumStock") || "drop"),
+    rowFilters,
+    priceRules: parsePriceLines(formData.get("priceRules")),
+    keepOriginalPrices: formData.has("keepOriginalPrices"),
+  };
+
+  const errors = validateExportProfile(data, {
+    currencyRates: await getCurrencyRates(session.shop),
+  });
+  if (errors) {
+    return { errors };
+  }
+
+  try {
+    await saveExportProfile(session.shop, id, data);
+  } catch (error) {
+    // Profile names are unique per shop
+    if (error.code === "P2002") {
+      return { errors: { name: "A profile with this name already exists" } };
+    }
+    throw error;
+  }
+  await audit(`${id ? "Updated" : "Created"} profile "${data.name}"`);
+
+  return redirect("/app/profiles");
+};
+
+export default function ProfileForm() {
+  const { profile, locations } = useLoaderData();
+  const errors = useActionData()?.errors || {};
+  const navigation = useNavigation();
+  const isSaving = navigation.state === "submitting";
+
+  return (
+    <s-page heading={profile.id ? profile.name : "New profile"}>
+      <Form method="post">
+        <s-section heading="Profile">
+          <s-stack gap="base">
+            <s-text-field
+              label="Name"
+              name="name"
+              defaultValue={profile.name}
+              error={errors.name}
+              required
+            />
+            <s-checkbox
+              label="Use as default profile"
+              name="isDefault"
+              defaultChecked={profile.isDefault}
+            />
+          </s-stack>
+        </s-section>
+
+        <s-section heading="Columns to remove">
+          <s-stack gap="base">
+            <s-text-area
+              label="Header prefixes"
+              details="One per line. Removes every column whose header starts with it."
+              name="removePrefixes"
+              rows={6}
+              defaultValue={profile.removePrefixes.join("\n")}
+            />
+            <s-text-area
+              label="Exact header names"
+              details="One per line."
+              name="removeExact"
+              rows={4}
+              defaultValue={profile.removeExact.join("\n")}
+            />
+            <s-text-area
+              label="Regular expressions"
+              details="One per line, matched against the full header."
+              name="removePatterns"
+              rows={4}
+              defaultValue={profile.removePatterns.join("\n")}
+              error={errors.removePatterns}
+            />
+          </s-stack>
+        </s-section>
+
+        <s-section heading="Columns to keep">
+          <s-text-area
+            label="Always keep"
+            details="One header per line. These are kept even when a removal rule matches."
+            name="keepColumns"
+            rows={4}
+            defaultValue={profile.keepColumns.join("\n")}
+          />
+        </s-section>
+
+        <s-section heading="Variant rows">
+          <s-stack gap="base">
+            <s-checkbox
+              label="Fill product fields down into every variant row"
+              details="Shopify only fills these on the first row of each product."
+              name="fillDown"
+              defaultChecked={profile.fillDown}
+            />
+            <s-text-area
+              label="Columns to fill down"
+              details="One header per line. Leave empty for Title, Body (HTML), Vendor, Type, Tags, Published and the other product columns."
+              name="fillDownColumns"
+              rows={4}
+              defaultValue={profile.fillDownColumns.join("\n")}
+            />
+          </s-stack>
+        </s-section>
+
+        <s-section heading="Row filters">
+          <s-text-area
+            label="Rules"
+            details={
+              'One "include condition" or "exclude condition" per line. Conditions compare a {Column} with =, !=, contains, in a, b, has tag, matches "regex", between 5 and 50, >, >=, <, <=, can start with not and are joined with and or or. Product columns such as Vendor, Type, Tags and Status apply to every variant of the product.'
+            }
+            name="rowFilters"
+            rows={6}
+            placeholder={
+              "exclude {Status} in draft, archived\ninclude {Variant Price} between 5 and 500"
+            }
+            defaultValue={formatFilterLines(profile.rowFilters)}
+            error={errors.rowFilters}
+          />
+        </s-section>
+
+        <s-section heading="Prices">
+          <s-stack gap="base">
+            <s-text-area
+              label="Price rules"
+              details={
+                'One rule per line, applied in order to Variant Price and Variant Compare At Price: markup 25%, markup 2.50, add vat 21%, remove vat 21%, convert to GBP, round to 0.05, round ending .95 or round bankers. End a rule with "when {Vendor} = Acme" to apply it to matching rows only. Exchange rates are set on the profiles page.'
+              }
+              name="priceRules"
+              rows={6}
+              defaultValue={formatPriceLines(profile.priceRules)}
+              error={errors.priceRules}
+            />
+            <s-checkbox
+              label="Keep the original prices in extra columns"
+              name="keepOriginalPrices"
+              defaultChecked={profile.keepOriginalPrices}
+            />
+          </s-stack>
+        </s-section>
+
+        <s-section heading="Images">
+          <s-stack gap="base">
+            <s-select
+              label="Images per SKU row"
+              details="Collects every image of a product, the variant's own image first, then by position."
+              name="imageMode"
+              value={profile.imageMode}
+              error={errors.imageMode}
+            >
+              <s-option value="none">No image columns</s-option>
+              <s-option value="delimited">One Images column</s-option>
+              <s-option value="numbered">Image 1, Image 2, … columns</s-option>
+            </s-select>
+            <s-text-field
+              label="Separator for the Images column"
+              name="imageDelimiter"
+              defaultValue={profile.imageDelimiter}
+            />
+            <s-number-field
+              label="Number of image columns"
+              details="Used with numbered columns. Extra images are left out."
+              name="imageColumns"
+              min={1}
+              defaultValue={String(profile.imageColumns)}
+              error={errors.imageColumns}
+            />
+          </s-stack>
+        </s-section>
+
+        <s-section heading="Metafields">
+          <s-stack gap="base">
+            <s-text-area
+              label="Metafield columns"
+              details={
+                'One "namespace.key = Header" per line, matching columns such as "Material (product.metafields.custom.material)". Start with product. or variant. to pick one owner; leave out "= Header" to keep the Shopify header. Selected columns are always kept and other metafield columns are left out. Leave empty to let the removal rules decide.'
+              }
+              name="metafields"
+              rows={6}
+              placeholder={
+                "custom.material = Material\nvariant.custom.size = Size"
+              }
+              defaultValue={formatMetafieldLines(profile.metafields)}
+              error={errors.metafields}
+            />
+            <s-text-field
+              label="Separator for list values"
+              details='Joins list and JSON metafield values, e.g. ["Cotton","Linen"].'
+              name="metafieldDelimiter"
+              defaultValue={profile.metafieldDelimiter}
+            />
+          </s-stack>
+        </s-section>
+
+        <s-section heading="Stock">
+          <s-stack gap="base">
+            <s-select
+              label="Stock per location"
+              details="Available quantities from Shopify, added to every SKU row."
+              name="inventoryMode"
+              value={profile.inventoryMode}
+              error={errors.inventoryMode}
+            >
+              <s-option value="none">No stock columns</s-option>
+              <s-option value="columns">
+                A Stock [Location] column per location
+              </s-option>
+              <s-option value="sum">One Stock column with the total</s-option>
+            </s-select>
+            <s-stack gap="base">
+              <s-text type="strong">Locations</s-text>
+              {locations.map((location) => (
+                <s-checkbox
+                  key={location.id}
+                  label={location.name}
+                  name="inventoryLocations"
+                  value={location.id}
+                  defaultChecked={profile.inventoryLocations.some(
+                    (selected) => selected.id === location.id,
+                  )}
+                />
+              ))}
+              {errors.inventoryLocations && (
+                <s-text tone="critical">{errors.inventoryLocations}</s-text>
+              )}
+            </s-stack>
+            <s-number-field
+              label="Minimum stock"
+              details="Compared with the total over the selected locations, or Variant Inventory Qty when none are selected. Leave empty to export every SKU."
+              name="minimumStock"
+              min={0}
+              defaultValue={
+                profile.minimumStock === null
+                  ? ""
+                  : String(profile.minimumStock)
+              }
+              error={errors.minimumStock}
+            />
+            <s-select
+              label="SKUs below the minimum"
+              name="belowMinimumStock"
+              value={profile.belowMinimumStock}
+              error={errors.belowMinimumStock}
+            >
+              <s-option value="drop">Leave them out</s-option>
+              <s-option value="zero">Export them with stock 0</s-option>
+            </s-select>
+          </s-stack>
+        </s-section>
+
+        <s-section heading="Output columns">
+          <s-stack gap="base">
+            <s-text-area
+              label="Column mapping"
+              details={
+                'One "Header = expression" per line, in output order. Use {Column} to read a column, "text" for constants, & to join, + - * / for numbers, ?? for a fallback and round(), upper(), lower(), trim().'
+              }
+              name="columnMapping"
+              rows={8}
+              defaultValue={formatMappingLines(profile.columnMapping)}
+              error={errors.columnMapping}
+            />
+            <s-checkbox
+              label="Append the remaining columns after the mapped ones"
+              name="includeUnmappedColumns"
+              defaultChecked={profile.includeUnmappedColumns}
+            />
+          </s-stack>
+        </s-section>
+
+        <s-button type="submit" variant="primary" loading={isSaving}>
+          Save
+        </s-button>
+      </Form>
+
+      {profile.id && (
+        <Form method="post">
+          <input type="hidden" name="intent" value="delete" />
+          <s-button type="submit" tone="critical">
+            Delete
+          </s-button>
+        </Form>
+      )}
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
@@ -0,0 +1,117 @@
+import {
+  Form,
+  useActionData,
+  useLoaderData,
+  useNavigation,
+} from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import { getExportProfiles } from "../models/exportProfile.server";
+import {
+  getCurrencyRates,
+  saveCurrencyRates,
+} from "../models/shopSettings.server";
+import { formatRateLines, parseRateLines } from "../../scripts/price-rules";
+import { recordAuditEvent } from "../models/auditLog.server";
+import { staffFromContext } from "../models/exportRecord.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const profiles = await getExportProfiles(session.shop);
+  const currencyRates = await getCurrencyRates(session.shop);
+
+  return { profiles, currencyRates };
+};
+
+// Saves the shop's exchange rate table.
+export const action = async ({ request }) => {
+  const { session, sessionToken } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  let rates;
+  try {
+    rates = parseRateLines(formData.get("currencyRates"));
+  } catch (error) {
+    return { errors: { currencyRates: error.message } };
+  }
+
+  await saveCurrencyRates(session.shop, rates);
+  await recordAuditEvent(session.shop, {
+    ...staffFromContext({ session, sessionToken }),
+    action: "settings",
+    summary: "Updated exchange rates",
+  });
+  return null;
+};
+
+export default function Profiles() {
+  const { profiles, currencyRates } = useLoaderData();
+  const actionData = useActionData();
+  const navigation = useNavigation();
+
+  return (
+    <s-page heading="Export profiles">
+      <s-button slot="primary-action" href="/app/profiles/new">
+        New profile
+      </s-button>
+
+      <s-section heading="Profiles">
+        {profiles.length === 0 ? (
+          <s-paragraph>
+            No profiles yet. Exports use the built-in default, which removes the
+            Google, linked option, image and unit price columns.
+          </s-paragraph>
+        ) : (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header listSlot="primary">Name</s-table-header>
+              <s-table-header>Rules</s-table-header>
+              <s-table-header>Always kept</s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {profiles.map((profile) => (
+                <s-table-row key={profile.id}>
+                  <s-table-cell>
+                    <s-link href={`/app/profiles/${profile.id}`}>
+                      {profile.name}
+                    </s-link>{" "}
+                    {profile.isDefault && <s-badge>Default</s-badge>}
+                  </s-table-cell>
+                  <s-table-cell>
+                    {profile.removePrefixes.length +
+                      profile.removeExact.length +
+                      profile.removePatterns.length}
+                  </s-table-cell>
+                  <s-table-cell>{profile.keepColumns.length}</s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+      </s-section>
+
+      <s-section heading="Exchange rates">
+        <Form method="post">
+          <s-stack gap="base">
+            <s-text-area
+              label="Rates"
+              details='One "CODE = rate" per line: what one unit of the shop currency is worth in that currency. Used by "convert to" price rules.'
+              name="currencyRates"
+              rows={4}
+              defaultValue={formatRateLines(currencyRates)}
+              error={actionData?.errors?.currencyRates}
+            />
+            <s-button type="submit" loading={navigation.state === "submitting"}>
+              Save rates
+            </s-button>
+          </s-stack>
+        </Form>
+      </s-section>
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
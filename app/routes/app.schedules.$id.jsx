@@ -0,0 +1,280 @@
+import { useState } from "react";
+import {
+  Form,
+  redirect,
+  useActionData,
+  useLoaderData,
+  useNavigation,
+} from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import {
+  deleteExportSchedule,
+  getExportSchedule,
+  newExportSchedule,
+  saveExportSchedule,
+  validateExportSchedule,
+  withStoredSecrets,
+  withoutSecrets,
+} from "../models/exportSchedule.server";
+import { getExportProfiles } from "../models/exportProfile.server";
+import { DELIVERY_METHODS } from "../models/delivery.server";
+import { OUTPUT_FORMATS } from "../../scripts/output-formats";
+import { recordAuditEvent } from "../models/auditLog.server";
+import { staffFromContext } from "../models/exportRecord.server";
+
+// Form fields stored in the delivery settings of each method.
+const CONFIG_FIELDS = {
+  directory: ["path"],
+  sftp: ["host", "port", "username", "password", "privateKey", "path"],
+  http: ["url", "authorization"],
+};
+
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+
+  const schedule =
+    params.id === "new"
+      ? newExportSchedule()
+      : await getExportSchedule(params.id, session.shop);
+  if (!schedule) {
+    throw new Response("Schedule not found", { status: 404 });
+  }
+
+  const profiles = await getExportProfiles(session.shop);
+
+  return {
+    schedule: withoutSecrets(schedule),
+    profiles: profiles.map(({ id, name }) => ({ id, name })),
+    formats: Object.entries(OUTPUT_FORMATS).map(([value, { label }]) => ({
+      value,
+      label,
+    })),
+    deliveryMethods: Object.entries(DELIVERY_METHODS).map(
+      ([value, { label }]) => ({ value, label }),
+    ),
+  };
+};
+
+export const action = async ({ request, params }) => {
+  const { session, sessionToken } = await authenticate.admin(request);
+  const id = params.id === "new" ? null : params.id;
+  const audit = (summary) =>
+    recordAuditEvent(session.shop, {
+      ...staffFromContext({ session, sessionToken }),
+      action: "settings",
+      summary,
+    });
+
+  const formData = await request.formData();
+
+  if (formData.get("intent") === "delete") {
+    const schedule = await getExportSchedule(id, session.shop);
+    await deleteExportSchedule(id, session.shop);
+    if (schedule) await audit(`Deleted schedule "${schedule.name}"`);
+    return redirect("/app/schedules");
+  }
+
+  const deliveryType = String(formData.get("deliveryType") || "");
+  const deliveryConfig = {};
+  for (const field of CONFIG_FIELDS[deliveryType] || []) {
+    deliveryConfig[field] = String(formData.get(field) || "").trim();
+  }
+
+  const data = {
+    name: String(formData.get("name") || "").trim(),
+    cron: String(formData.get("cron") || "").trim(),
+    enabled: formData.has("enabled"),
+    profileId: String(formData.get("profileId") || ""),
+    format: String(formData.get("format") || ""),
+    deliveryType,
+    deliveryConfig: await withStoredSecrets(session.shop, id, deliveryConfig),
+  };
+
+  const errors = validateExportSchedule(data);
+  if (errors) {
+    return { errors };
+  }
+
+  await saveExportSchedule(session.shop, id, data);
+  await audit(`${id ? "Updated" : "Created"} schedule "${data.name}"`);
+
+  return redirect("/app/schedules");
+};
+
+export default function ScheduleForm() {
+  const { schedule, profiles, formats, deliveryMethods } = useLoaderData();
+  const errors = useActionData()?.errors || {};
+  const deliveryErrors = errors.delivery || {};
+  const navigation = useNavigation();
+  const isSaving = navigation.state === "submitting";
+  const [deliveryType, setDeliveryType] = useState(schedule.deliveryType);
+  const config = schedule.deliveryConfig;
+  const keepSecret = "Leave empty to keep the stored value.";
+
+  return (
+    <s-page heading={schedule.id ? schedule.name : "New schedule"}>
+      <Form method="post">
+        <s-section heading="Schedule">
+          <s-stack gap="base">
+            <s-text-field
+              label="Name"
+              name="name"
+              defaultValue={schedule.name}
+              error={errors.name}
+              required
+            />
+            <s-text-field
+              label="When to run"
+              details="Cron expression in UTC: minute hour day month weekday. For example 0 6 * * 1-5 runs at 06:00 on weekdays."
+              name="cron"
+              defaultValue={schedule.cron}
+              error={errors.cron}
+              required
+            />
+            <s-checkbox
+              label="Enabled"
+              name="enabled"
+              defaultChecked={schedule.enabled}
+            />
+          </s-stack>
+        </s-section>
+
+        <s-section heading="Export">
+          <s-stack gap="base">
+            <s-select
+              label="Export profile"
+              name="profileId"
+              value={schedule.profileId || ""}
+            >
+              <s-option value="">Shop default</s-option>
+              {profiles.map((profile) => (
+                <s-option key={profile.id} value={profile.id}>
+                  {profile.name}
+                </s-option>
+              ))}
+            </s-select>
+            <s-select
+              label="Output format"
+              name="format"
+              value={schedule.format}
+              error={errors.format}
+            >
+              {formats.map((format) => (
+                <s-option key={format.value} value={format.value}>
+                  {format.label}
+                </s-option>
+              ))}
+            </s-select>
+          </s-stack>
+        </s-section>
+
+        <s-section heading="Delivery">
+          <s-stack gap="base">
+            <s-select
+              label="Deliver to"
+              name="deliveryType"
+              value={deliveryType}
+              error={deliveryErrors.type}
+              onChange={(event) => setDeliveryType(event.currentTarget.value)}
+            >
+              {deliveryMethods.map((method) => (
+                <s-option key={method.value} value={method.value}>
+                  {method.label}
+                </s-option>
+              ))}
+            </s-select>
+
+            {deliveryType === "directory" && (
+              <s-text-field
+                label="Subdirectory"
+                details="Relative to the delivery directory configured on the server."
+                name="path"
+                defaultValue={config.path}
+                error={deliveryErrors.path}
+              />
+            )}
+
+            {deliveryType === "sftp" && (
+              <>
+                <s-text-field
+                  label="Host"
+                  name="host"
+                  defaultValue={config.host}
+                  error={deliveryErrors.host}
+                />
+                <s-number-field
+                  label="Port"
+                  name="port"
+                  min={1}
+                  defaultValue={config.port || "22"}
+                />
+                <s-text-field
+                  label="Username"
+                  name="username"
+                  defaultValue={config.username}
+                  error={deliveryErrors.username}
+                />
+                <s-password-field
+                  label="Password"
+                  name="password"
+                  details={config.hasPassword ? keepSecret : undefined}
+                  error={deliveryErrors.password}
+                />
+                <s-text-area
+                  label="Private key"
+                  name="privateKey"
+                  rows={4}
+                  details={config.hasPrivateKey ? keepSecret : undefined}
+                />
+                <s-text-field
+                  label="Remote directory"
+                  name="path"
+                  defaultValue={config.path}
+                />
+              </>
+            )}
+
+            {deliveryType === "http" && (
+              <>
+                <s-url-field
+                  label="URL"
+                  details="The file is sent as the body of a POST request."
+                  name="url"
+                  defaultValue={config.url}
+                  error={deliveryErrors.url}
+                />
+                <s-password-field
+                  label="Authorization header"
+                  name="authorization"
+                  details={
+                    config.hasAuthorization
+                      ? keepSecret
+                      : "For example: Bearer <token>"
+                  }
+                />
+              </>
+            )}
+          </s-stack>
+        </s-section>
+
+        <s-button type="submit" variant="primary" loading={isSaving}>
+          Save
+        </s-button>
+      </Form>
+
+      {schedule.id && (
+        <Form method="post">
+          <input type="hidden" name="intent" value="delete" />
+          <s-button type="submit" tone="critical">
+            Delete
+          </s-button>
+        </Form>
+      )}
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
@@ -0,0 +1,131 @@
+import { useLoaderData } from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import { authenticate } from "../shopify.server";
+import {
+  getExportScheduleRuns,
+  getExportSchedules,
+} from "../models/exportSchedule.server";
+import { DELIVERY_METHODS } from "../models/delivery.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const [schedules, runs] = await Promise.all([
+    getExportSchedules(session.shop),
+    getExportScheduleRuns(session.shop),
+  ]);
+
+  return {
+    schedules: schedules.map((schedule) => ({
+      id: schedule.id,
+      name: schedule.name,
+      cron: schedule.cron,
+      enabled: schedule.enabled,
+      delivery: DELIVERY_METHODS[schedule.deliveryType]?.label,
+      nextRunAt: schedule.nextRunAt,
+      lastStatus: schedule.lastStatus,
+    })),
+    runs,
+  };
+};
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : "—";
+}
+
+function StatusBadge({ status }) {
+  if (status === "success") return <s-badge tone="success">Success</s-badge>;
+  if (status === "failed") return <s-badge tone="critical">Failed</s-badge>;
+  if (status === "running") return <s-badge tone="info">Running</s-badge>;
+  return null;
+}
+
+export default function Schedules() {
+  const { schedules, runs } = useLoaderData();
+
+  return (
+    <s-page heading="Scheduled exports">
+      <s-button slot="primary-action" href="/app/schedules/new">
+        New schedule
+      </s-button>
+
+      <s-section heading="Schedules">
+        {schedules.length === 0 ? (
+          <s-paragraph>
+            No schedules yet. A schedule exports the store catalog at fixed
+            times and delivers the file to a directory, an SFTP server or a URL.
+          </s-paragraph>
+        ) : (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header listSlot="primary">Name</s-table-header>
+              <s-table-header>Schedule (UTC)</s-table-header>
+              <s-table-header>Delivery</s-table-header>
+              <s-table-header>Next run</s-table-header>
+              <s-table-header>Last run</s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {schedules.map((schedule) => (
+                <s-table-row key={schedule.id}>
+                  <s-table-cell>
+                    <s-link href={`/app/schedules/${schedule.id}`}>
+                      {schedule.name}
+                    </s-link>{" "}
+                    {!schedule.enabled && <s-badge>Paused</s-badge>}
+                  </s-table-cell>
+                  <s-table-cell>{schedule.cron}</s-table-cell>
+                  <s-table-cell>{schedule.delivery}</s-table-cell>
+                  <s-table-cell>
+                    {schedule.enabled ? formatDate(schedule.nextRunAt) : "—"}
+                  </s-table-cell>
+                  <s-table-cell>
+                    <StatusBadge status={schedule.lastStatus} />
+                  </s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+      </s-section>
+
+      <s-section heading="Recent runs">
+        {runs.length === 0 ? (
+          <s-paragraph>No scheduled exports have run yet.</s-paragraph>
+        ) : (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header listSlot="primary">Started</s-table-header>
+              <s-table-header>Schedule</s-table-header>
+              <s-table-header format="numeric">Attempt</s-table-header>
+              <s-table-header format="numeric">Rows</s-table-header>
+              <s-table-header>Status</s-table-header>
+              <s-table-header>Details</s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {runs.map((run) => (
+                <s-table-row key={run.id}>
+                  <s-table-cell>{formatDate(run.startedAt)}</s-table-cell>
+                  <s-table-cell>{run.schedule.name}</s-table-cell>
+                  <s-table-cell>{run.attempt}</s-table-cell>
+                  <s-table-cell>{run.rowCount}</s-table-cell>
+                  <s-table-cell>
+                    <StatusBadge status={run.status} />
+                  </s-table-cell>
+                  <s-table-cell>
+                    {run.error
+                      ? `${run.error}${run.nextRetryAt ? ` (retry at ${formatDate(run.nextRetryAt)})` : ""}`
+                      : run.filename || ""}
+                  </s-table-cell>
+                </s-table-row>
+              ))}
+            </s-table-body>
+          </s-table>
+        )}
+      </s-section>
+    </s-page>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
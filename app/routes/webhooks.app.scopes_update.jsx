@@ -1,10 +1,12 @@
 import { authenticate } from "../shopify.server";
+import { requestLogger } from "../logger.server";
 import db from "../db.server";
 
 export const action = async ({ request }) => {
-  const { payload, session, topic, shop } = await authenticate.webhook(request);
+  const { payload, session, topic, shop, webhookId } =
+    await authenticate.webhook(request);
 
-  console.log(`Received ${topic} webhook for ${shop}`);
+  requestLogger(request, { shop, topic, webhookId }).info("Received webhook");
   const current = payload.current;
 
   if (session) {
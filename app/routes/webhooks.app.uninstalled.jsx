@@ -1,10 +1,14 @@
 import { authenticate } from "../shopify.server";
+import { requestLogger } from "../logger.server";
 import db from "../db.server";
+import { cancelExportJobs } from "../models/exportJob.server";
+import { disableExportSchedules } from "../models/exportSchedule.server";
 
 export const action = async ({ request }) => {
-  const { shop, session, topic } = await authenticate.webhook(request);
+  const { shop, session, topic, webhookId } =
+    await authenticate.webhook(request);
 
-  console.log(`Received ${topic} webhook for ${shop}`);
+  requestLogger(request, { shop, topic, webhookId }).info("Received webhook");
 
   // Webhook requests can trigger multiple times and after an app has already been uninstalled.
   // If this webhook already ran, the session may have been deleted previously.
@@ -12,5 +16,9 @@ export const action = async ({ request }) => {
     await db.session.deleteMany({ where: { shop } });
   }
 
+  // Without a session, scheduled and queued exports can only fail
+  await disableExportSchedules(shop);
+  await cancelExportJobs(shop);
+
   return new Response();
 };
@@ -0,0 +1,16 @@
+import { authenticate } from "../shopify.server";
+import { requestLogger } from "../logger.server";
+import { recordProductChange } from "../models/productChange.server";
+
+// products/create, products/update and products/delete, recorded for the
+// "changes since last export" mode.
+export const action = async ({ request }) => {
+  const { shop, topic, payload, webhookId } =
+    await authenticate.webhook(request);
+
+  requestLogger(request, { shop, topic, webhookId }).info("Received webhook");
+
+  await recordProductChange(shop, topic, payload);
+
+  return new Response();
+};
@@ -0,0 +1,223 @@
+import db from "./db.server";
+import { unauthenticated } from "./shopify.server";
+import { logger } from "./logger.server";
+import { createExport } from "../scripts/create-export";
+import { nextCronDate } from "../scripts/cron";
+import { OUTPUT_FORMATS } from "../scripts/output-formats";
+import { fetchCatalog } from "./models/catalog.server";
+import { deliverExport } from "./models/delivery.server";
+import { contentTypeFor, saveExportFile } from "./models/exportFile.server";
+import { resolveExportProfile } from "./models/exportProfile.server";
+import { fetchProfileInventory } from "./models/inventory.server";
+import {
+  purgeExpiredExports,
+  recordExport,
+} from "./models/exportRecord.server";
+
+// Runs scheduled exports inside the app process. Every minute the due
+// schedules are claimed and run one after the other from the live catalog,
+// using the shop's stored offline session. A failed run is retried with
+// exponential backoff before the schedule moves on to its next cron time.
+
+const TICK_INTERVAL_MS = 60 * 1000;
+const MAX_ATTEMPTS = 4;
+const RETRY_DELAY_MS = 5 * 60 * 1000;
+
+let running = false;
+
+function retryDelay(attempt) {
+  return RETRY_DELAY_MS * 2 ** (attempt - 1);
+}
+
+// Take a due schedule. Clearing nextRunAt keeps later ticks from running it
+// again while it is still running.
+async function claimSchedule(schedule) {
+  const { count } = await db.exportSchedule.updateMany({
+    where: { id: schedule.id, nextRunAt: schedule.nextRunAt },
+    data: { nextRunAt: null },
+  });
+
+  return count === 1;
+}
+
+async function runSchedule(schedule) {
+  const attempt = schedule.retryAttempt + 1;
+  const startedAt = Date.now();
+  const run = await db.exportScheduleRun.create({
+    data: {
+      scheduleId: schedule.id,
+      shop: schedule.shop,
+      attempt,
+      status: "running",
+    },
+  });
+
+  const log = logger.child({ shop: schedule.shop, scheduleId: schedule.id });
+  let profileName = null;
+  try {
+    const { admin } = await unauthenticated.admin(schedule.shop);
+    const profile = await resolveExportProfile(
+      schedule.shop,
+      schedule.profileId,
+    );
+    profileName = profile.name;
+    const rows = await fetchCatalog(admin);
+    const inventoryLevels = await fetchProfileInventory(admin, profile);
+
+    const shopName = schedule.shop.replace(/\.myshopify\.com$/, "");
+    const stamp = new Date().toISOString().slice(0, 16).replace(/[-:T]/g, "");
+    const result = createExport({
+      rows,
+      filename: `${shopName}-products-${stamp}.${OUTPUT_FORMATS[schedule.format].extension}`,
+      format: schedule.format,
+      profile,
+      inventoryLevels,
+      log,
+    });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    const target = await deliverExport(
+      schedule.deliveryType,
+      schedule.deliveryConfig,
+      {
+        filename: result.filename,
+        buffer: result.buffer,
+        contentType: contentTypeFor(result.filename),
+      },
+    );
+    log.info("Scheduled export delivered", { name: schedule.name, target });
+
+    // Only a delivered export is kept, so a retry does not record it twice
+    const file = await saveExportFile(
+      schedule.shop,
+      result.filename,
+      result.buffer,
+    );
+    const record = await recordExport(schedule.shop, {
+      source: "schedule",
+      sourceFilename: schedule.name,
+      outputFilename: result.filename,
+      format: result.format,
+      profileName,
+      inputRowCount: result.inputRowCount,
+      rowCount: result.rowCount,
+      removedColumns: result.removedColumns.map((column) => column.header),
+      durationMs: Date.now() - startedAt,
+      status: "success",
+      fileId: file.id,
+      fileSize: file.size,
+    });
+    await purgeExpiredExports(schedule.shop);
+
+    await db.exportScheduleRun.update({
+      where: { id: run.id },
+      data: {
+        status: "success",
+        rowCount: result.rowCount,
+        filename: result.filename,
+        exportRecordId: record.id,
+        finishedAt: new Date(),
+      },
+    });
+    await db.exportSchedule.update({
+      where: { id: schedule.id },
+      data: {
+        nextRunAt: nextCronDate(schedule.cron),
+        retryAttempt: 0,
+        lastRunAt: new Date(startedAt),
+        lastStatus: "success",
+      },
+    });
+  } catch (error) {
+    log.error("Scheduled export failed", { name: schedule.name, error });
+
+    const willRetry = attempt < MAX_ATTEMPTS;
+    const nextRetryAt = willRetry
+      ? new Date(Date.now() + retryDelay(attempt))
+      : null;
+
+    await db.exportScheduleRun.update({
+      where: { id: run.id },
+      data: {
+        status: "failed",
+        error: error.message,
+        nextRetryAt,
+        finishedAt: new Date(),
+      },
+    });
+    await db.exportSchedule.update({
+      where: { id: schedule.id },
+      data: {
+        nextRunAt: nextRetryAt || nextCronDate(schedule.cron),
+        retryAttempt: willRetry ? attempt : 0,
+        lastRunAt: new Date(startedAt),
+        lastStatus: "failed",
+      },
+    });
+  }
+}
+
+async function tick() {
+  if (running) return;
+  running = true;
+
+  try {
+    const due = await db.exportSchedule.findMany({
+      where: { enabled: true, nextRunAt: { lte: new Date() } },
+      orderBy: { nextRunAt: "asc" },
+    });
+
+    for (const record of due) {
+      if (await claimSchedule(record)) {
+        await runSchedule({
+          ...record,
+          deliveryConfig: JSON.parse(record.deliveryConfig || "{}"),
+        });
+      }
+    }
+  } catch (error) {
+    logger.error("Export scheduler failed", { error });
+  } finally {
+    running = false;
+  }
+}
+
+// Runs cut off by a restart are marked failed and their schedules put back
+// on the clock.
+async function recoverInterruptedRuns() {
+  await db.exportScheduleRun.updateMany({
+    where: { status: "running" },
+    data: {
+      status: "failed",
+      error: "Interrupted by a restart",
+      finishedAt: new Date(),
+    },
+  });
+
+  const orphaned = await db.exportSchedule.findMany({
+    where: { enabled: true, nextRunAt: null },
+  });
+  for (const schedule of orphaned) {
+    await db.exportSchedule.update({
+      where: { id: schedule.id },
+      data: { nextRunAt: new Date() },
+    });
+  }
+}
+
+// Start the scheduler once per process (dev reloads this module).
+export function startExportScheduler() {
+  if (global.exportSchedulerStarted || process.env.DISABLE_SCHEDULER) return;
+  global.exportSchedulerStarted = true;
+
+  recoverInterruptedRuns()
+    .catch((error) =>
+      logger.error("Export scheduler recovery failed", { error }),
+    )
+    .finally(() => {
+      setInterval(tick, TICK_INTERVAL_MS).unref();
+      tick();
+    });
+}
@@ -0,0 +1,34 @@
+const DELIMITER_NAMES = {
+  ",": "comma",
+  ";": "semicolon",
+  "\t": "tab",
+  "|": "pipe",
+};
+
+const ENCODING_NAMES = {
+  "utf-8": "UTF-8",
+  "utf-16le": "UTF-16 LE",
+  "utf-16be": "UTF-16 BE",
+  "windows-1252": "Windows-1252",
+};
+
+// "UTF-8 with BOM, semicolon-separated" for the encoding and delimiter
+// detected in an uploaded CSV file, or the sheets read from a workbook.
+export function describeInput(input) {
+  if (!input) return null;
+
+  if (input.sheets) {
+    const skipped = input.skippedSheets.map(
+      (sheet) => `${sheet.name} skipped: ${sheet.reason.toLowerCase()}`,
+    );
+    return [
+      `${input.usedSheets.length === 1 ? "Sheet" : "Sheets"} ${input.usedSheets.join(", ")}`,
+      ...skipped,
+    ].join("; ");
+  }
+
+  const encoding = ENCODING_NAMES[input.encoding] || input.encoding;
+  const delimiter = DELIMITER_NAMES[input.delimiter] || `"${input.delimiter}"`;
+
+  return `${encoding}${input.bom ? " with BOM" : ""}, ${delimiter}-separated`;
+}
@@ -0,0 +1,206 @@
+import db from "./db.server";
+import { unauthenticated } from "./shopify.server";
+import { logger } from "./logger.server";
+import { getBulkOperation } from "./models/catalog.server";
+import { openExportFile, readExportFile } from "./models/exportFile.server";
+import { deleteJobInputs, toExportJob } from "./models/exportJob.server";
+import { runExport, saveExportResult } from "./models/exportRun.server";
+
+// Runs queued exports inside the app process, oldest first and one at a
+// time, using the shop's stored offline session. The export page polls the
+// job while it runs. A job cut off by a restart is queued again from its
+// stored input, up to MAX_ATTEMPTS times.
+
+const TICK_INTERVAL_MS = 5 * 1000;
+const PROGRESS_INTERVAL_MS = 1000;
+const MAX_ATTEMPTS = 3;
+
+let running = false;
+
+// Progress is written at the start of every phase and at most once a
+// second within one. Every write also picks up a cancellation requested in
+// the meantime and aborts the export.
+function createProgressReporter(jobId, controller, log) {
+  let lastPhase = null;
+  let lastWriteAt = 0;
+  let writing = Promise.resolve();
+
+  const write = async ({ phase, progress, inputRowCount, rowCount }) => {
+    try {
+      const job = await db.exportJob.update({
+        where: { id: jobId },
+        data: { phase, progress, inputRowCount, rowCount },
+      });
+      if (job.cancelRequested) controller.abort();
+    } catch (error) {
+      log.error("Export job progress failed", { error });
+    }
+  };
+
+  return async (progress) => {
+    const isNewPhase = progress.phase !== lastPhase;
+    if (!isNewPhase && Date.now() - lastWriteAt < PROGRESS_INTERVAL_MS) {
+      return;
+    }
+
+    lastPhase = progress.phase;
+    lastWriteAt = Date.now();
+    writing = writing.then(() => write(progress));
+    await writing;
+  };
+}
+
+// Take a queued job. Only one process gets to move it to running.
+async function claimJob(job) {
+  const { count } = await db.exportJob.updateMany({
+    where: { id: job.id, status: "queued" },
+    data: {
+      status: "running",
+      attempts: { increment: 1 },
+      startedAt: new Date(),
+    },
+  });
+
+  return count === 1;
+}
+
+async function runJob(job) {
+  const controller = new AbortController();
+  const { options, inputFiles } = job;
+  const log = logger.child({ shop: job.shop, exportId: job.id });
+  log.info("Export job started", { attempt: job.attempts + 1 });
+
+  try {
+    const { admin } = await unauthenticated.admin(job.shop);
+    const bulkOperation = options.bulkOperationId
+      ? await getBulkOperation(admin, options.bulkOperationId)
+      : undefined;
+
+    const run = await runExport({
+      admin,
+      shop: job.shop,
+      options,
+      files: inputFiles.map((file) => ({
+        ...file,
+        read: () => readExportFile(file.id, job.shop),
+        stream: () => openExportFile(file.id, job.shop),
+      })),
+      bulkOperation,
+      onProgress: createProgressReporter(job.id, controller, log),
+      signal: controller.signal,
+      log,
+    });
+    const result = await saveExportResult(job.shop, {
+      ...run,
+      record: {
+        userId: job.userId,
+        userName: job.userName,
+        source: options.source,
+        sourceFilename:
+          inputFiles.map((file) => file.filename).join(", ") || null,
+        format: options.format,
+      },
+      log,
+    });
+
+    await db.exportJob.update({
+      where: { id: job.id },
+      data: result.success
+        ? {
+            status: "success",
+            phase: null,
+            progress: 100,
+            rowCount: result.rowCount,
+            result: JSON.stringify(result),
+            finishedAt: new Date(),
+          }
+        : { status: "failed", error: result.error, finishedAt: new Date() },
+    });
+    log.info("Export job finished", {
+      status: result.success ? "success" : "failed",
+    });
+  } catch (error) {
+    const isCancelled = controller.signal.aborted;
+    if (isCancelled) log.info("Export job cancelled");
+    else log.error("Export job failed", { error });
+
+    await db.exportJob.update({
+      where: { id: job.id },
+      data: {
+        status: isCancelled ? "cancelled" : "failed",
+        error: isCancelled ? null : error.message,
+        finishedAt: new Date(),
+      },
+    });
+  } finally {
+    await deleteJobInputs(job);
+  }
+}
+
+async function tick() {
+  if (running) return;
+  running = true;
+
+  try {
+    for (;;) {
+      const next = await db.exportJob.findFirst({
+        where: { status: "queued" },
+        orderBy: { createdAt: "asc" },
+      });
+      if (!next) break;
+
+      if (await claimJob(next)) {
+        await runJob(toExportJob(next));
+      }
+    }
+  } catch (error) {
+    logger.error("Export worker failed", { error });
+  } finally {
+    running = false;
+  }
+}
+
+// Jobs cut off by a restart are queued again, unless they were being
+// cancelled or have been tried too often.
+async function recoverInterruptedJobs() {
+  const interrupted = await db.exportJob.findMany({
+    where: { status: "running" },
+  });
+
+  for (const record of interrupted) {
+    const job = toExportJob(record);
+    const isRetried = !job.cancelRequested && job.attempts < MAX_ATTEMPTS;
+
+    await db.exportJob.update({
+      where: { id: job.id },
+      data: isRetried
+        ? { status: "queued", phase: null, progress: 0, startedAt: null }
+        : {
+            status: job.cancelRequested ? "cancelled" : "failed",
+            error: job.cancelRequested ? null : "Interrupted by a restart",
+            finishedAt: new Date(),
+          },
+    });
+    if (!isRetried) {
+      await deleteJobInputs(job);
+    }
+  }
+}
+
+// Look for queued jobs now rather than at the next tick.
+export function wakeExportWorker() {
+  if (global.exportWorkerStarted) tick();
+}
+
+// Start the worker once per process (dev reloads this module).
+export function startExportWorker() {
+  if (global.exportWorkerStarted || process.env.DISABLE_WORKER) return;
+  global.exportWorkerStarted = true;
+
+  recoverInterruptedJobs()
+    .catch((error) => logger.error("Export worker recovery failed", { error }))
+    .finally(() => {
+      setInterval(tick, TICK_INTERVAL_MS).unref();
+      tick();
+    });
+}
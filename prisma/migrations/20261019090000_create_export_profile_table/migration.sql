@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "ExportProfile" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "removePrefixes" TEXT NOT NULL DEFAULT '[]',
+    "removeExact" TEXT NOT NULL DEFAULT '[]',
+    "removePatterns" TEXT NOT NULL DEFAULT '[]',
+    "keepColumns" TEXT NOT NULL DEFAULT '[]',
+    "isDefault" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ExportProfile_shop_name_key" ON "ExportProfile"("shop", "name");
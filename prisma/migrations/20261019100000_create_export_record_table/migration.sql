@@ -0,0 +1,32 @@
+-- CreateTable
+CREATE TABLE "ExportRecord" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "userId" TEXT,
+    "userName" TEXT,
+    "source" TEXT NOT NULL DEFAULT 'upload',
+    "sourceFilename" TEXT,
+    "outputFilename" TEXT,
+    "format" TEXT,
+    "profileName" TEXT,
+    "inputRowCount" INTEGER NOT NULL DEFAULT 0,
+    "rowCount" INTEGER NOT NULL DEFAULT 0,
+    "removedColumns" TEXT NOT NULL DEFAULT '[]',
+    "durationMs" INTEGER NOT NULL DEFAULT 0,
+    "status" TEXT NOT NULL,
+    "error" TEXT,
+    "fileId" TEXT,
+    "fileSize" INTEGER,
+    "fileDeletedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateTable
+CREATE TABLE "ShopSettings" (
+    "shop" TEXT NOT NULL PRIMARY KEY,
+    "historyRetentionDays" INTEGER NOT NULL DEFAULT 30,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "ExportRecord_shop_createdAt_idx" ON "ExportRecord"("shop", "createdAt");
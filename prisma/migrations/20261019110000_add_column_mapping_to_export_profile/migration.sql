@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "ExportProfile" ADD COLUMN "columnMapping" TEXT NOT NULL DEFAULT '[]';
+ALTER TABLE "ExportProfile" ADD COLUMN "includeUnmappedColumns" BOOLEAN NOT NULL DEFAULT true;
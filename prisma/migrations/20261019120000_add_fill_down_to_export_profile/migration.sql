@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "ExportProfile" ADD COLUMN "fillDown" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "ExportProfile" ADD COLUMN "fillDownColumns" TEXT NOT NULL DEFAULT '[]';
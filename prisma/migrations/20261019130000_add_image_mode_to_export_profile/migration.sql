@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "ExportProfile" ADD COLUMN "imageMode" TEXT NOT NULL DEFAULT 'none';
+ALTER TABLE "ExportProfile" ADD COLUMN "imageDelimiter" TEXT NOT NULL DEFAULT ';';
+ALTER TABLE "ExportProfile" ADD COLUMN "imageColumns" INTEGER NOT NULL DEFAULT 5;
@@ -0,0 +1,41 @@
+-- CreateTable
+CREATE TABLE "ExportSchedule" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "cron" TEXT NOT NULL,
+    "profileId" TEXT,
+    "format" TEXT NOT NULL DEFAULT 'csv',
+    "deliveryType" TEXT NOT NULL,
+    "deliveryConfig" TEXT NOT NULL DEFAULT '{}',
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "nextRunAt" DATETIME,
+    "retryAttempt" INTEGER NOT NULL DEFAULT 0,
+    "lastRunAt" DATETIME,
+    "lastStatus" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "ExportScheduleRun" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "scheduleId" TEXT NOT NULL,
+    "shop" TEXT NOT NULL,
+    "attempt" INTEGER NOT NULL DEFAULT 1,
+    "status" TEXT NOT NULL,
+    "error" TEXT,
+    "rowCount" INTEGER NOT NULL DEFAULT 0,
+    "filename" TEXT,
+    "exportRecordId" TEXT,
+    "nextRetryAt" DATETIME,
+    "startedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" DATETIME,
+    CONSTRAINT "ExportScheduleRun_scheduleId_fkey" FOREIGN KEY ("scheduleId") REFERENCES "ExportSchedule" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "ExportSchedule_enabled_nextRunAt_idx" ON "ExportSchedule"("enabled", "nextRunAt");
+
+-- CreateIndex
+CREATE INDEX "ExportScheduleRun_scheduleId_startedAt_idx" ON "ExportScheduleRun"("scheduleId", "startedAt");
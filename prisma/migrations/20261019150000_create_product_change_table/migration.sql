@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "changesExportedAt" DATETIME;
+
+-- CreateTable
+CREATE TABLE "ProductChange" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "handle" TEXT,
+    "skus" TEXT NOT NULL DEFAULT '[]',
+    "deletedSkus" TEXT NOT NULL DEFAULT '[]',
+    "deleted" BOOLEAN NOT NULL DEFAULT false,
+    "changedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ProductChange_shop_productId_key" ON "ProductChange"("shop", "productId");
+
+-- CreateIndex
+CREATE INDEX "ProductChange_shop_changedAt_idx" ON "ProductChange"("shop", "changedAt");
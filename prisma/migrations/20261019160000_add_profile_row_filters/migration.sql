@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ExportProfile" ADD COLUMN "rowFilters" TEXT NOT NULL DEFAULT '[]';
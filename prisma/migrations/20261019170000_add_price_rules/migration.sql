@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "ExportProfile" ADD COLUMN "priceRules" TEXT NOT NULL DEFAULT '[]';
+ALTER TABLE "ExportProfile" ADD COLUMN "keepOriginalPrices" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "currencyRates" TEXT NOT NULL DEFAULT '{}';
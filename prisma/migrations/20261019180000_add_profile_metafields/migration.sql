@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "ExportProfile" ADD COLUMN "metafields" TEXT NOT NULL DEFAULT '[]';
+ALTER TABLE "ExportProfile" ADD COLUMN "metafieldDelimiter" TEXT NOT NULL DEFAULT '; ';
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "ExportProfile" ADD COLUMN "inventoryMode" TEXT NOT NULL DEFAULT 'none';
+ALTER TABLE "ExportProfile" ADD COLUMN "inventoryLocations" TEXT NOT NULL DEFAULT '[]';
+ALTER TABLE "ExportProfile" ADD COLUMN "minimumStock" INTEGER;
+ALTER TABLE "ExportProfile" ADD COLUMN "belowMinimumStock" TEXT NOT NULL DEFAULT 'drop';
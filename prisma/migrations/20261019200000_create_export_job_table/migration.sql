@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "ExportJob" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "userId" TEXT,
+    "userName" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "phase" TEXT,
+    "progress" INTEGER NOT NULL DEFAULT 0,
+    "inputRowCount" INTEGER NOT NULL DEFAULT 0,
+    "rowCount" INTEGER NOT NULL DEFAULT 0,
+    "options" TEXT NOT NULL DEFAULT '{}',
+    "inputFiles" TEXT NOT NULL DEFAULT '[]',
+    "result" TEXT,
+    "error" TEXT,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "cancelRequested" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "startedAt" DATETIME,
+    "finishedAt" DATETIME
+);
+
+-- CreateIndex
+CREATE INDEX "ExportJob_status_createdAt_idx" ON "ExportJob"("status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "ExportJob_shop_createdAt_idx" ON "ExportJob"("shop", "createdAt");
@@ -0,0 +1,188 @@
+/* eslint-env node */
+
+// Column layout of Shopify's own product CSV export, so rows built from the
+// live catalog go through createExport exactly like an uploaded file.
+const SHOPIFY_CSV_HEADERS = [
+  "Handle",
+  "Title",
+  "Body (HTML)",
+  "Vendor",
+  "Product Category",
+  "Type",
+  "Tags",
+  "Published",
+  "Option1 Name",
+  "Option1 Value",
+  "Option1 Linked To",
+  "Option2 Name",
+  "Option2 Value",
+  "Option2 Linked To",
+  "Option3 Name",
+  "Option3 Value",
+  "Option3 Linked To",
+  "Variant SKU",
+  "Variant Grams",
+  "Variant Inventory Tracker",
+  "Variant Inventory Qty",
+  "Variant Inventory Policy",
+  "Variant Fulfillment Service",
+  "Variant Price",
+  "Variant Compare At Price",
+  "Variant Requires Shipping",
+  "Variant Taxable",
+  "Unit Price Total Measure",
+  "Unit Price Total Measure Unit",
+  "Unit Price Base Measure",
+  "Unit Price Base Measure Unit",
+  "Variant Barcode",
+  "Image Src",
+  "Image Position",
+  "Image Alt Text",
+  "Gift Card",
+  "SEO Title",
+  "SEO Description",
+  "Google Shopping / Google Product Category",
+  "Google Shopping / Gender",
+  "Google Shopping / Age Group",
+  "Google Shopping / MPN",
+  "Google Shopping / Condition",
+  "Google Shopping / Custom Product",
+  "Variant Image",
+  "Variant Weight Unit",
+  "Variant Tax Code",
+  "Cost per item",
+  "Status",
+];
+
+const WEIGHT_UNITS = {
+  GRAMS: { unit: "g", grams: 1 },
+  KILOGRAMS: { unit: "kg", grams: 1000 },
+  OUNCES: { unit: "oz", grams: 28.349523125 },
+  POUNDS: { unit: "lb", grams: 453.59237 },
+};
+
+function gidType(id) {
+  return String(id).split("/")[3];
+}
+
+// Shopify's product CSV writes booleans in lowercase.
+function bool(value) {
+  return value ? "true" : "false";
+}
+
+// Group the JSONL lines of a bulk operation back into products. Child
+// objects (variants, images) follow their parent and reference it through
+// `__parentId`.
+function parseBulkJsonl(content) {
+  const products = new Map();
+
+  for (const line of content.split("\n")) {
+    if (!line.trim()) continue;
+
+    const node = JSON.parse(line);
+    const type = gidType(node.id);
+
+    if (type === "Product") {
+      products.set(node.id, { ...node, variants: [], images: [] });
+    } else if (type === "ProductVariant") {
+      products.get(node.__parentId)?.variants.push(node);
+    } else if (type === "MediaImage") {
+      if (node.image) {
+        products.get(node.__parentId)?.images.push(node.image);
+      }
+    }
+  }
+
+  return Array.from(products.values());
+}
+
+function variantRow(product, variant, isFirst) {
+  const row = {};
+  const inventoryItem = variant.inventoryItem || {};
+  const weight = inventoryItem.measurement?.weight;
+  const weightUnit = weight && WEIGHT_UNITS[weight.unit];
+
+  row["Handle"] = product.handle;
+
+  if (isFirst) {
+    row["Title"] = product.title;
+    row["Body (HTML)"] = product.descriptionHtml;
+    row["Vendor"] = product.vendor;
+    row["Product Category"] = product.category?.fullName || "";
+    row["Type"] = product.productType;
+    row["Tags"] = (product.tags || []).join(", ");
+    row["Published"] = bool(product.publishedAt);
+    row["Gift Card"] = bool(product.isGiftCard);
+    row["SEO Title"] = product.seo?.title || "";
+    row["SEO Description"] = product.seo?.description || "";
+    row["Status"] = String(product.status || "").toLowerCase();
+  }
+
+  (product.options || []).slice(0, 3).forEach((option, index) => {
+    const selected = (variant.selectedOptions || []).find(
+      (o) => o.name === option.name,
+    );
+    if (isFirst) {
+      row[`Option${index + 1} Name`] = option.name;
+    }
+    row[`Option${index + 1} Value`] = selected ? selected.value : "";
+  });
+
+  row["Variant SKU"] = variant.sku || "";
+  row["Variant Grams"] =
+    weight && weightUnit ? Math.round(weight.value * weightUnit.grams) : "";
+  row["Variant Inventory Tracker"] = inventoryItem.tracked ? "shopify" : "";
+  row["Variant Inventory Qty"] = variant.inventoryQuantity ?? "";
+  row["Variant Inventory Policy"] = String(
+    variant.inventoryPolicy || "",
+  ).toLowerCase();
+  row["Variant Fulfillment Service"] = "manual";
+  row["Variant Price"] = variant.price ?? "";
+  row["Variant Compare At Price"] = variant.compareAtPrice ?? "";
+  row["Variant Requires Shipping"] = bool(inventoryItem.requiresShipping);
+  row["Variant Taxable"] = bool(variant.taxable);
+  row["Variant Barcode"] = variant.barcode || "";
+  row["Variant Image"] = variant.image?.url || "";
+  row["Variant Weight Unit"] = weightUnit ? weightUnit.unit : "";
+  row["Cost per item"] = inventoryItem.unitCost?.amount ?? "";
+
+  return row;
+}
+
+// Build Shopify-CSV style rows from parsed catalog products: product-level
+// fields on the first variant row, the images spread over the variant rows
+// and any extra images on image-only rows, like Shopify's own export.
+function catalogToRows(products) {
+  const rows = [SHOPIFY_CSV_HEADERS];
+
+  const toArray = (row) =>
+    SHOPIFY_CSV_HEADERS.map((header) =>
+      row[header] === undefined || row[header] === null
+        ? ""
+        : String(row[header]),
+    );
+
+  for (const product of products) {
+    const count = Math.max(product.variants.length, product.images.length);
+
+    for (let i = 0; i < count; i++) {
+      const variant = product.variants[i];
+      const image = product.images[i];
+      const row = variant
+        ? variantRow(product, variant, i === 0)
+        : { Handle: product.handle };
+
+      if (image) {
+        row["Image Src"] = image.url;
+        row["Image Position"] = i + 1;
+        row["Image Alt Text"] = image.altText || "";
+      }
+
+      rows.push(toArray(row));
+    }
+  }
+
+  return rows;
+}
+
+export { SHOPIFY_CSV_HEADERS, parseBulkJsonl, catalogToRows };
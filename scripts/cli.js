@@ -0,0 +1,306 @@
+#!/usr/bin/env node
+/* eslint-env node */
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "node:util";
+import { DEFAULT_PROFILE, createExport } from "./create-export.js";
+import { OUTPUT_FORMATS } from "./output-formats.js";
+import { countIssues } from "./validate.js";
+import { createLogger } from "./logger.js";
+
+const USAGE = `Usage: node scripts/cli.js [options] [input ...]
+
+Inputs are CSV or XLSX files, directories (every .csv and .xlsx file in
+them) or patterns such as "feeds/*.csv". Directories and patterns skip
+earlier outputs (*-export.*). Without an input, or with "-", the file is
+read from stdin.
+
+Options:
+  -i, --input <path>    Input, as an alternative to listing it; can be
+                        given more than once.
+  -o, --output <path>   Output file or directory, or "-" for stdout. With
+                        several inputs a directory. Defaults to
+                        <input>-export.<ext> next to each input, or stdout
+                        for stdin.
+  -f, --format <name>   Output format: ${Object.keys(OUTPUT_FORMATS).join(", ")}.
+                        Defaults to the input format.
+  -p, --profile <file>  JSON profile (removePrefixes, keepColumns,
+                        columnMapping, ...) applied on top of the defaults.
+      --sheet <name>    XLSX sheet to read instead of the first one.
+      --merge-sheets    Read every XLSX sheet with the same headers.
+      --stdin-type <t>  Type of the data on stdin: csv (default) or xlsx.
+      --dry-run         Validate and report without writing anything.
+  -v, --verbose         Log every processing step to stderr.
+  -h, --help            Show this help.
+
+Exits with 1 when a file has validation errors or cannot be exported.`;
+
+// Issues listed per file; the rest are only counted.
+const MAX_ISSUES_PRINTED = 10;
+
+const INPUT_EXTENSION = /\.(csv|xlsx)$/i;
+// Outputs written next to their inputs, which a second run must not export
+// again
+const EXPORT_OUTPUT = /-export\.[^.]+$/i;
+
+function isInputFile(name) {
+  return INPUT_EXTENSION.test(name) && !EXPORT_OUTPUT.test(name);
+}
+
+class UsageError extends Error {}
+
+function isDirectory(file) {
+  return fs.existsSync(file) && fs.statSync(file).isDirectory();
+}
+
+// "dir/*.csv" to the matching files. Wildcards are only supported in the
+// last path segment.
+function expandPattern(pattern) {
+  const directory = path.dirname(pattern);
+  const source = path
+    .basename(pattern)
+    .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, ".*")
+    .replace(/\?/g, ".");
+  const regex = new RegExp(`^${source}$`);
+
+  return fs
+    .readdirSync(directory)
+    .filter((name) => regex.test(name))
+    .map((name) => path.join(directory, name))
+    .sort();
+}
+
+function resolveInputs(args) {
+  const files = [];
+  for (const arg of args) {
+    if (arg === "-") {
+      files.push(arg);
+    } else if (/[*?]/.test(arg)) {
+      files.push(...expandPattern(arg).filter(isInputFile));
+    } else if (isDirectory(arg)) {
+      files.push(
+        ...fs
+          .readdirSync(arg)
+          .filter(isInputFile)
+          .sort()
+          .map((name) => path.join(arg, name)),
+      );
+    } else if (fs.existsSync(arg)) {
+      files.push(arg);
+    } else {
+      throw new UsageError(`No such file: ${arg}`);
+    }
+  }
+  return files;
+}
+
+function loadProfile(file) {
+  if (!file) return DEFAULT_PROFILE;
+
+  let profile;
+  try {
+    profile = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (error) {
+    throw new UsageError(`Cannot read profile ${file}: ${error.message}`);
+  }
+  return { ...DEFAULT_PROFILE, ...profile };
+}
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+// Where the output of one input goes: stdout, the given file, a file in the
+// given directory or a file next to the input. Stdin goes to stdout unless
+// an output is given.
+function outputPath(input, filename, output, batch) {
+  if (output === "-" || (!output && input === "-")) return "-";
+  if (!output) return path.join(path.dirname(input), filename);
+  if (batch || isDirectory(output)) return path.join(output, filename);
+  return output;
+}
+
+async function exportFile(input, options) {
+  const file = input === "-" ? await readStdin() : input;
+  const filename =
+    input === "-" ? `stdin.${options.stdinType}` : path.basename(input);
+
+  const result = createExport({
+    file,
+    filename,
+    format: options.format,
+    sheet: options.sheet,
+    mergeSheets: options.mergeSheets,
+    profile: options.profile,
+    preview: options.dryRun,
+    log: options.log,
+  });
+  if (!result.success) {
+    return { input, error: result.error, issues: [] };
+  }
+
+  const summary = options.dryRun ? result.preview : result;
+  const output = options.dryRun
+    ? null
+    : outputPath(input, result.filename, options.output, options.batch);
+
+  if (output === "-") {
+    process.stdout.write(result.buffer);
+  } else if (output) {
+    fs.writeFileSync(output, result.buffer);
+  }
+
+  return {
+    input,
+    output,
+    inputRowCount: summary.inputRowCount,
+    rowCount: summary.rowCount,
+    removedColumns: summary.removedColumns.length,
+    issues: summary.issues,
+  };
+}
+
+function printTable(rows) {
+  const widths = rows[0].map((_, i) =>
+    Math.max(...rows.map((row) => String(row[i]).length)),
+  );
+  for (const row of rows) {
+    console.error(
+      row
+        .map((cell, i) =>
+          typeof cell === "number"
+            ? String(cell).padStart(widths[i])
+            : String(cell).padEnd(widths[i]),
+        )
+        .join("  ")
+        .trimEnd(),
+    );
+  }
+}
+
+function printIssues(result) {
+  const name = result.input === "-" ? "stdin" : result.input;
+  const errors = result.issues.filter((issue) => issue.severity === "error");
+  for (const issue of errors.slice(0, MAX_ISSUES_PRINTED)) {
+    console.error(
+      `  ${name}:${issue.rowNumber} ${issue.column ? `${issue.column}: ` : ""}${issue.message}`,
+    );
+  }
+  if (errors.length > MAX_ISSUES_PRINTED) {
+    console.error(`  … and ${errors.length - MAX_ISSUES_PRINTED} more errors`);
+  }
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      input: { type: "string", short: "i", multiple: true },
+      output: { type: "string", short: "o" },
+      format: { type: "string", short: "f" },
+      profile: { type: "string", short: "p" },
+      sheet: { type: "string" },
+      "merge-sheets": { type: "boolean", default: false },
+      "stdin-type": { type: "string", default: "csv" },
+      "dry-run": { type: "boolean", default: false },
+      verbose: { type: "boolean", short: "v", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  if (values.format && !OUTPUT_FORMATS[values.format]) {
+    throw new UsageError(`Unknown format: ${values.format}`);
+  }
+  if (!["csv", "xlsx"].includes(values["stdin-type"])) {
+    throw new UsageError(`Unknown stdin type: ${values["stdin-type"]}`);
+  }
+
+  const args = [...(values.input || []), ...positionals];
+  const inputs = resolveInputs(args.length ? args : ["-"]);
+  if (inputs.length === 0) {
+    throw new UsageError("No CSV or XLSX files found");
+  }
+
+  const batch = inputs.length > 1;
+  if (batch && values.output === "-") {
+    throw new UsageError("Several inputs cannot be written to stdout");
+  }
+  if (batch && values.output && !values["dry-run"]) {
+    fs.mkdirSync(values.output, { recursive: true });
+  }
+
+  const options = {
+    output: values.output,
+    format: values.format,
+    profile: loadProfile(values.profile),
+    sheet: values.sheet,
+    mergeSheets: values["merge-sheets"],
+    stdinType: values["stdin-type"],
+    dryRun: values["dry-run"],
+    batch,
+    // Log lines go to stderr, so they never end up in exported data on
+    // stdout
+    log: createLogger(
+      {},
+      { level: values.verbose ? "debug" : "warn", stream: process.stderr },
+    ),
+  };
+
+  const results = [];
+  for (const input of inputs) {
+    results.push(await exportFile(input, options));
+  }
+
+  printTable([
+    ["File", "Rows in", "Rows out", "Removed", "Errors", "Warnings", "Output"],
+    ...results.map((result) => {
+      if (result.error) {
+        return [result.input, "", "", "", "", "", `failed: ${result.error}`];
+      }
+      const counts = countIssues(result.issues);
+      return [
+        result.input === "-" ? "stdin" : result.input,
+        result.inputRowCount,
+        result.rowCount,
+        result.removedColumns,
+        counts.error,
+        counts.warning,
+        result.output === "-" ? "stdout" : result.output || "(dry run)",
+      ];
+    }),
+  ]);
+  results.forEach(printIssues);
+
+  const failed = results.some(
+    (result) => result.error || countIssues(result.issues).error > 0,
+  );
+  return failed ? 1 : 0;
+}
+
+main(process.argv.slice(2))
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    const isUsageError =
+      error instanceof UsageError ||
+      Boolean(error.code?.startsWith("ERR_PARSE_ARGS"));
+    console.error(isUsageError ? error.message : error);
+    if (isUsageError) {
+      console.error("Run with --help for usage.");
+      process.exitCode = 2;
+    } else {
+      process.exitCode = 1;
+    }
+  });
@@ -0,0 +1,286 @@
+/* eslint-env node */
+import { normalizeHeader } from "./headers.js";
+
+// Output column mapping. Each mapped column is a header plus an expression
+// evaluated against the original row:
+//
+//   Artikelnummer = {Variant SKU}
+//   Leverancier   = "Goossens"
+//   Prijs         = round({Variant Price} * 1.21, 2)
+//   Naam          = {Title} ?? {Handle}
+//   Omschrijving  = {Vendor} & " " & {Title}
+//
+// `{...}` reads a column, `&` concatenates, `+ - * /` do arithmetic (an
+// empty or non-numeric operand gives an empty result), `??` falls back to
+// the right-hand side when the left is empty. Functions: round, upper,
+// lower, trim. Column names match regardless of case and whitespace.
+
+const FUNCTIONS = {
+  round: (value, digits = 0) => {
+    const number = toNumber(value);
+    return number === null ? "" : number.toFixed(toNumber(digits) ?? 0);
+  },
+  upper: (value) => String(value).toUpperCase(),
+  lower: (value) => String(value).toLowerCase(),
+  trim: (value) => String(value).trim(),
+};
+
+function toNumber(value) {
+  if (typeof value === "number") return value;
+  const text = String(value).trim();
+  if (text === "") return null;
+  const number = Number(text);
+  return Number.isFinite(number) ? number : null;
+}
+
+function toText(value) {
+  if (typeof value === "number") {
+    // Drop floating point noise such as 12.100000000000001
+    return String(Number(value.toFixed(10)));
+  }
+  return value === undefined || value === null ? "" : String(value);
+}
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === "{") {
+      const end = text.indexOf("}", i);
+      if (end === -1) throw new Error(`Unclosed "{" in ${text}`);
+      tokens.push({ type: "field", value: text.slice(i + 1, end).trim() });
+      i = end + 1;
+    } else if (char === '"' || char === "'") {
+      let value = "";
+      i++;
+      while (i < text.length) {
+        if (text[i] === char && text[i + 1] === char) {
+          value += char;
+          i += 2;
+        } else if (text[i] === char) {
+          break;
+        } else {
+          value += text[i++];
+        }
+      }
+      if (i >= text.length) throw new Error(`Unclosed string in ${text}`);
+      tokens.push({ type: "string", value });
+      i++;
+    } else if (/[0-9.]/.test(char)) {
+      const match = /^\d*\.?\d+/.exec(text.slice(i));
+      if (!match) throw new Error(`Invalid number in ${text}`);
+      tokens.push({ type: "number", value: Number(match[0]) });
+      i += match[0].length;
+    } else if (/[A-Za-z_]/.test(char)) {
+      const match = /^[A-Za-z_]\w*/.exec(text.slice(i));
+      tokens.push({ type: "name", value: match[0] });
+      i += match[0].length;
+    } else if (text.startsWith("??", i)) {
+      tokens.push({ type: "op", value: "??" });
+      i += 2;
+    } else if ("&+-*/(),".includes(char)) {
+      tokens.push({ type: "op", value: char });
+      i++;
+    } else {
+      throw new Error(`Unexpected "${char}" in ${text}`);
+    }
+  }
+
+  return tokens;
+}
+
+// Recursive descent parser producing a small AST.
+function parseExpression(text) {
+  const tokens = tokenize(text);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOp = (value) => peek()?.type === "op" && peek().value === value;
+  const expect = (value) => {
+    if (!isOp(value)) throw new Error(`Expected "${value}" in ${text}`);
+    position++;
+  };
+
+  function binary(next, operators) {
+    return () => {
+      let node = next();
+      while (operators.some(isOp)) {
+        const op = tokens[position++].value;
+        node = { type: "binary", op, left: node, right: next() };
+      }
+      return node;
+    };
+  }
+
+  function primary() {
+    const token = tokens[position++];
+    if (!token) throw new Error(`Unexpected end of ${text}`);
+
+    if (token.type === "field") return { type: "field", name: token.value };
+    if (token.type === "string" || token.type === "number") {
+      return { type: "literal", value: token.value };
+    }
+    if (token.type === "op" && token.value === "-") {
+      return { type: "negate", value: primary() };
+    }
+    if (token.type === "op" && token.value === "(") {
+      const node = fallback();
+      expect(")");
+      return node;
+    }
+    if (token.type === "name") {
+      const fn = token.value.toLowerCase();
+      if (!FUNCTIONS[fn]) throw new Error(`Unknown function ${token.value}`);
+      expect("(");
+      const args = [];
+      if (!isOp(")")) {
+        args.push(fallback());
+        while (isOp(",")) {
+          position++;
+          args.push(fallback());
+        }
+      }
+      expect(")");
+      return { type: "call", fn, args };
+    }
+    throw new Error(`Unexpected "${token.value}" in ${text}`);
+  }
+
+  const term = binary(primary, ["*", "/"]);
+  const additive = binary(term, ["+", "-"]);
+  const concat = binary(additive, ["&"]);
+  const fallback = binary(concat, ["??"]);
+
+  const ast = fallback();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${peek().value}" in ${text}`);
+  }
+  return ast;
+}
+
+function evaluate(node, lookup) {
+  switch (node.type) {
+    case "literal":
+      return node.value;
+    case "field":
+      return lookup(node.name);
+    case "negate": {
+      const value = toNumber(evaluate(node.value, lookup));
+      return value === null ? "" : -value;
+    }
+    case "call":
+      return FUNCTIONS[node.fn](
+        ...node.args.map((arg) => evaluate(arg, lookup)),
+      );
+    case "binary": {
+      const left = evaluate(node.left, lookup);
+      if (node.op === "??") {
+        return toText(left) !== "" ? left : evaluate(node.right, lookup);
+      }
+      const right = evaluate(node.right, lookup);
+      if (node.op === "&") {
+        return toText(left) + toText(right);
+      }
+      const a = toNumber(left);
+      const b = toNumber(right);
+      if (a === null || b === null) return "";
+      if (node.op === "+") return a + b;
+      if (node.op === "-") return a - b;
+      if (node.op === "*") return a * b;
+      return b === 0 ? "" : a / b;
+    }
+  }
+}
+
+// Parse the "Header = expression" lines used to edit a mapping.
+function parseMappingLines(text) {
+  return String(text || "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const separator = line.indexOf("=");
+      if (separator <= 0) {
+        throw new Error(`Expected "Header = expression" in ${line}`);
+      }
+      return {
+        header: line.slice(0, separator).trim(),
+        expression: line.slice(separator + 1).trim(),
+      };
+    });
+}
+
+function formatMappingLines(columns) {
+  return (columns || [])
+    .map((column) => `${column.header} = ${column.expression}`)
+    .join("\n");
+}
+
+// Compile a mapping against the original headers of a file. `mapRow` takes
+// the original row and the row left after column removal (whose headers
+// are `keptHeaders`) and returns the output row. Without mapped columns the
+// kept row is returned unchanged. With `includeUnmapped`, kept columns that
+// are not already renamed by the mapping follow the mapped ones.
+function compileMapping(mapping, originalHeaders, keptHeaders) {
+  const columns = (mapping?.columns || []).map((column) => ({
+    header: column.header,
+    ast: parseExpression(column.expression),
+  }));
+
+  if (columns.length === 0) {
+    return { headers: keptHeaders, mapRow: (row, keptRow) => keptRow };
+  }
+
+  const indexOf = new Map();
+  originalHeaders.forEach((header, index) => {
+    const name = normalizeHeader(header);
+    if (!indexOf.has(name)) indexOf.set(name, index);
+  });
+
+  const mappedHeaders = new Set(
+    columns.map((column) => normalizeHeader(column.header)),
+  );
+  const renamedSources = new Set(
+    columns
+      .filter((column) => column.ast.type === "field")
+      .map((column) => normalizeHeader(column.ast.name)),
+  );
+  const unmapped = mapping.includeUnmapped
+    ? keptHeaders
+        .map((header, index) => ({ header: String(header), index }))
+        .filter(
+          ({ header }) =>
+            !mappedHeaders.has(normalizeHeader(header)) &&
+            !renamedSources.has(normalizeHeader(header)),
+        )
+    : [];
+
+  return {
+    headers: [
+      ...columns.map((column) => column.header),
+      ...unmapped.map(({ header }) => header),
+    ],
+    mapRow(row, keptRow) {
+      const lookup = (name) => {
+        const index = indexOf.get(normalizeHeader(name));
+        return index === undefined ? "" : toText(row[index]);
+      };
+      return [
+        ...columns.map((column) => toText(evaluate(column.ast, lookup))),
+        ...unmapped.map(({ index }) => keptRow[index]),
+      ];
+    },
+  };
+}
+
+export {
+  compileMapping,
+  formatMappingLines,
+  parseExpression,
+  parseMappingLines,
+};
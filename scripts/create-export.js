@@ -1,127 +1,398 @@
 /* eslint-env node */
 import fs from "fs";
-import * as XLSX from "xlsx";
-
-// const prefix = "Google";
-const prefixes = [
-  "Google",
-  "Option1 Linked To",
-  "Option2 Linked To",
-  "Option3 Linked To",
-  "Image Src",
-  "Image Position",
-  "Variant Image",
-  "Image Alt Text",
-  "Unit Price",
-];
-
-function createExport({ file, filename }) {
-  if (!file) {
-    console.error("Please provide a file.");
-    return { success: false, error: "No file provided" };
-  }
+import { parseCSV } from "./csv.js";
+import { decodeText, sniffDelimiter } from "./decode.js";
+import { findHeader, normalizeHeader } from "./headers.js";
+import { validateRows } from "./validate.js";
+import { compileMapping, parseExpression } from "./column-mapping.js";
+import { PRODUCT_COLUMNS, createFillDown } from "./fill-down.js";
+import { groupImages, imageHeaders } from "./images.js";
+import { createInventoryTransform, inventoryHeaders } from "./inventory.js";
+import {
+  compileMetafields,
+  createMetafieldTransform,
+  findMetafieldSelection,
+  parseMetafieldHeader,
+} from "./metafields.js";
+import { compileRowFilters, createRowFilter } from "./row-filter.js";
+import {
+  PRICE_COLUMNS,
+  compilePriceRules,
+  createPriceTransform,
+} from "./price-rules.js";
+import {
+  OUTPUT_FORMATS,
+  exportFilename,
+  formatFromFilename,
+  writeOutput,
+} from "./output-formats.js";
+import { readWorkbookRows } from "./xlsx.js";
+import { logger } from "./logger.js";
 
-  // Determine file type from filename
-  const isXlsx = filename.toLowerCase().endsWith(".xlsx");
-  const isCsv = filename.toLowerCase().endsWith(".csv");
+// Column-removal profile used when a shop has not saved one of its own.
+const DEFAULT_PROFILE = {
+  name: "Default",
+  removePrefixes: [
+    "Google",
+    "Option1 Linked To",
+    "Option2 Linked To",
+    "Option3 Linked To",
+    "Image Src",
+    "Image Position",
+    "Variant Image",
+    "Image Alt Text",
+    "Unit Price",
+  ],
+  removeExact: [],
+  removePatterns: [],
+  keepColumns: [],
+  // Output columns as { header, expression }, see column-mapping.js. Empty
+  // keeps the remaining Shopify columns as they are.
+  columnMapping: [],
+  includeUnmappedColumns: true,
+  // Copy product-level columns from the first row of a handle into its
+  // variant rows, so every row is a complete product record.
+  fillDown: false,
+  fillDownColumns: PRODUCT_COLUMNS,
+  // Attach all images of a handle to each SKU row: "none", "delimited" (one
+  // Images column joined by `imageDelimiter`) or "numbered" (`imageColumns`
+  // columns named Image 1..N).
+  imageMode: "none",
+  imageDelimiter: ";",
+  imageColumns: 5,
+  // Metafield columns to export as { key, header }, see metafields.js. Empty
+  // leaves every metafield column to the removal rules. List and JSON values
+  // are joined with `metafieldDelimiter`.
+  metafields: [],
+  metafieldDelimiter: "; ",
+  // Rules as { action: "include" | "exclude", condition }, see row-filter.js.
+  rowFilters: [],
+  // Price rules as { transform, condition }, see price-rules.js, applied to
+  // Variant Price and Variant Compare At Price. `keepOriginalPrices` adds an
+  // "Original ..." column for each. Currency conversion reads
+  // `currencyRates`, the shop's { CODE: rate } table.
+  priceRules: [],
+  keepOriginalPrices: false,
+  currencyRates: {},
+  // Stock columns from the shop's inventory levels, see inventory.js:
+  // "none", "columns" (one per location) or "sum" (one total) over the
+  // `inventoryLocations` ({ id, name }). SKUs with less than `minimumStock`
+  // are dropped or zeroed (`belowMinimumStock`).
+  inventoryMode: "none",
+  inventoryLocations: [],
+  minimumStock: null,
+  belowMinimumStock: "drop",
+};
 
-  function parseCSV(content) {
-    const rows = [];
-    let currentRow = [];
-    let currentField = "";
-    let insideQuotes = false;
-
-    for (let i = 0; i < content.length; i++) {
-      const char = content[i];
-      const nextChar = content[i + 1];
-
-      if (char === '"') {
-        if (insideQuotes && nextChar === '"') {
-          currentField += '"';
-          i++;
-        } else {
-          insideQuotes = !insideQuotes;
-        }
-      } else if (char === "," && !insideQuotes) {
-        currentRow.push(currentField);
-        currentField = "";
-      } else if ((char === "\n" || char === "\r") && !insideQuotes) {
-        if (char === "\r" && nextChar === "\n") {
-          i++;
+// Compile a profile's rules once so they can be checked against every header.
+function compileProfile(profile = DEFAULT_PROFILE) {
+  const columnMapping = profile.columnMapping || [];
+  // Parse every expression up front so a broken mapping fails early.
+  columnMapping.forEach((column) => parseExpression(column.expression));
+
+  const images =
+    profile.imageMode && profile.imageMode !== "none"
+      ? {
+          mode: profile.imageMode,
+          delimiter: profile.imageDelimiter ?? ";",
+          columns: profile.imageColumns || 5,
         }
-        if (currentField || currentRow.length > 0) {
-          currentRow.push(currentField);
-          rows.push(currentRow);
-          currentRow = [];
-          currentField = "";
+      : null;
+
+  const metafields = {
+    selections: compileMetafields(profile.metafields),
+    delimiter: profile.metafieldDelimiter ?? "; ",
+  };
+
+  const hasMinimumStock =
+    profile.minimumStock !== null && profile.minimumStock !== undefined;
+  const inventory =
+    (profile.inventoryMode && profile.inventoryMode !== "none") ||
+    hasMinimumStock
+      ? {
+          mode: profile.inventoryMode || "none",
+          locations: profile.inventoryLocations || [],
+          minimumStock: hasMinimumStock ? Number(profile.minimumStock) : null,
+          belowMinimum: profile.belowMinimumStock || "drop",
         }
-      } else {
-        currentField += char;
+      : null;
+
+  const prices = profile.priceRules?.length
+    ? {
+        rules: compilePriceRules(profile.priceRules, profile.currencyRates),
+        keepOriginal: Boolean(profile.keepOriginalPrices),
       }
+    : null;
+
+  return {
+    name: profile.name || "",
+    removePrefixes: profile.removePrefixes || [],
+    removeExact: profile.removeExact || [],
+    removePatterns: (profile.removePatterns || []).map(
+      (pattern) => new RegExp(pattern),
+    ),
+    // The added image, original price and stock columns and the renamed
+    // metafield columns are never removed by the rules
+    keepColumns: [
+      ...(profile.keepColumns || []),
+      ...(images ? imageHeaders(images) : []),
+      ...metafields.selections
+        .map((selection) => selection.header)
+        .filter(Boolean),
+      ...(prices?.keepOriginal
+        ? PRICE_COLUMNS.map((name) => `Original ${name}`)
+        : []),
+      ...(inventory ? inventoryHeaders(inventory) : []),
+    ],
+    mapping: {
+      columns: columnMapping,
+      includeUnmapped: profile.includeUnmappedColumns ?? true,
+    },
+    rowFilters: compileRowFilters(profile.rowFilters),
+    metafields,
+    prices,
+    inventory,
+    fillDownColumns: profile.fillDown
+      ? profile.fillDownColumns?.length
+        ? profile.fillDownColumns
+        : PRODUCT_COLUMNS
+      : null,
+    images,
+  };
+}
+
+// Returns the rule that removes a header, or null when the column is kept.
+// Columns listed in `keepColumns` always win over the removal rules. Once a
+// profile selects metafields, only those metafield columns are kept. Names
+// and prefixes match regardless of case and whitespace; regular expressions
+// are tested against the header as it is.
+function findRemovalRule(header, rules) {
+  const headerStr = String(header);
+  const normalized = normalizeHeader(header);
+  const matches = (name) => normalizeHeader(name) === normalized;
+
+  if (rules.keepColumns.some(matches)) {
+    return null;
+  }
+  const metafield = parseMetafieldHeader(header);
+  if (metafield && rules.metafields.selections.length) {
+    return findMetafieldSelection(metafield, rules.metafields.selections)
+      ? null
+      : { type: "metafield", value: `${metafield.namespace}.${metafield.key}` };
+  }
+  const exact = rules.removeExact.find(matches);
+  if (exact !== undefined) {
+    return { type: "exact", value: exact };
+  }
+  const prefix = rules.removePrefixes.find((p) =>
+    normalized.startsWith(normalizeHeader(p)),
+  );
+  if (prefix !== undefined) {
+    return { type: "prefix", value: prefix };
+  }
+  const pattern = rules.removePatterns.find((re) => re.test(headerStr));
+  if (pattern) {
+    return { type: "regex", value: pattern.source };
+  }
+  return null;
+}
+
+// Work out which columns a profile removes from a header row.
+function planColumns(headers, rules, log = logger) {
+  const indicesToRemove = new Set();
+  const removedColumns = [];
+
+  headers.forEach((header, index) => {
+    const rule = findRemovalRule(header, rules);
+    if (rule) {
+      indicesToRemove.add(index);
+      removedColumns.push({ header: String(header), index, rule });
+      log.debug("Removing column", { header: String(header), index, rule });
     }
+  });
+
+  return { indicesToRemove, removedColumns };
+}
+
+// Read the rows of an uploaded CSV or XLSX file. `file` is a buffer, a path
+// or a browser File-like object with a `buffer`. `input` describes what was
+// found: the encoding and delimiter of a CSV file, the sheets of a workbook.
+function readInput({
+  file,
+  filename,
+  sheet,
+  mergeSheets = false,
+  log = logger,
+}) {
+  // Determine file type from filename
+  const isXlsx = filename.toLowerCase().endsWith(".xlsx");
+  const isCsv = filename.toLowerCase().endsWith(".csv");
+
+  let fileBuffer;
+  if (Buffer.isBuffer(file)) {
+    fileBuffer = file;
+  } else if (typeof file === "string") {
+    // If file is a path string
+    fileBuffer = fs.readFileSync(file);
+  } else if (file?.buffer) {
+    // If file is a File object from browser
+    fileBuffer = Buffer.from(file.buffer);
+  } else {
+    return { success: false, error: "Invalid file format" };
+  }
 
-    if (currentField || currentRow.length > 0) {
-      currentRow.push(currentField);
-      rows.push(currentRow);
+  if (isXlsx) {
+    let workbook;
+    try {
+      workbook = readWorkbookRows(fileBuffer, { sheet, mergeSheets });
+    } catch (error) {
+      return { success: false, error: error.message };
     }
+    const { sheets, usedSheets, skippedSheets } = workbook;
+    log.info("Read XLSX file", { filename, sheets: usedSheets });
+    return {
+      success: true,
+      rows: workbook.rows,
+      input: { sheets, usedSheets, skippedSheets },
+      isCsv,
+    };
+  }
 
-    return rows;
+  if (isCsv) {
+    const { text, encoding, bom } = decodeText(fileBuffer);
+    const delimiter = sniffDelimiter(text);
+    log.info("Read CSV file", { filename, encoding, bom, delimiter });
+    return {
+      success: true,
+      rows: parseCSV(text, { delimiter }),
+      input: { encoding, bom, delimiter },
+      isCsv,
+    };
   }
 
-  function rowToCSV(row) {
-    return row
-      .map((field) => {
-        const fieldStr = String(field);
-        if (
-          fieldStr.includes(",") ||
-          fieldStr.includes('"') ||
-          fieldStr.includes("\n") ||
-          fieldStr.includes("\r")
-        ) {
-          return `"${fieldStr.replace(/"/g, '""')}"`;
-        }
-        return fieldStr;
-      })
-      .join(",");
+  log.warn("Unsupported file format", { filename });
+  return { success: false, error: "Unsupported file format" };
+}
+
+// `rows` can be passed instead of `file` when the data does not come from an
+// uploaded file (e.g. the live catalog); `filename` then only names the
+// output; rows already read with readInput pass its `input` along too.
+// `format` is one of OUTPUT_FORMATS and defaults to the format of
+// the input. For XLSX files `sheet` picks the sheet to read, or
+// `mergeSheets` reads every sheet with the same headers. With `preview` set
+// nothing is written: the result describes what the export would do, with
+// `sampleSize` example rows. Rows merged from several files pass `origins`,
+// the `{ file, rowNumber }` of each row, so issues and dropped rows point
+// into the original files. `keptRowIndices` in the result is the index in
+// `rows` of every exported row. `inventoryLevels` are the shop's stock
+// levels for a profile with stock columns or a minimum stock, see
+// collectInventoryLevels. Progress goes to `log`, see createLogger.
+function createExport({
+  file,
+  filename,
+  rows: inputRows,
+  input: inputDetails = null,
+  origins,
+  sheet,
+  mergeSheets = false,
+  format = formatFromFilename(filename),
+  profile = DEFAULT_PROFILE,
+  preview = false,
+  sampleSize = 10,
+  inventoryLevels,
+  log = logger,
+}) {
+  if (!file && !inputRows) {
+    log.warn("No file provided");
+    return { success: false, error: "No file provided" };
+  }
+  if (!OUTPUT_FORMATS[format]) {
+    return {
+      success: false,
+      error: format
+        ? `Unsupported output format: ${format}`
+        : "Unsupported file format",
+    };
   }
 
   function transformData(rows) {
     if (rows.length === 0) {
-      console.log("No data found in file");
+      log.warn("No data found in file", { filename });
       return [];
     }
 
+    log.debug("Original headers", { headers: rows[0] });
+
+    // Carry product-level fields into the variant rows of each handle
+    if (rules.fillDownColumns) {
+      const fillDown = createFillDown(rows[0], rules.fillDownColumns);
+      rows = [rows[0], ...rows.slice(1).map(fillDown)];
+    }
+
+    // Collect the images of each handle onto its rows
+    if (rules.images) {
+      rows = groupImages(rows, rules.images);
+    }
+
+    // Rename the selected metafield columns and flatten their values
+    const metafields = createMetafieldTransform(
+      rows[0],
+      rules.metafields.selections,
+      rules.metafields,
+    );
+    rows = [metafields.headers, ...rows.slice(1).map(metafields.transform)];
+
+    // Mark up, convert and round the variant prices
+    if (rules.prices) {
+      const prices = createPriceTransform(
+        rows[0],
+        rules.prices.rules,
+        rules.prices,
+      );
+      rows = [prices.headers, ...rows.slice(1).map(prices.transform)];
+    }
+
+    // Add the stock per location and zero the SKUs below the minimum
+    let belowMinimum = () => null;
+    if (rules.inventory) {
+      const inventory = createInventoryTransform(
+        rows[0],
+        rules.inventory,
+        inventoryLevels,
+      );
+      rows = [inventory.headers, ...rows.slice(1).map(inventory.transform)];
+      belowMinimum = inventory.belowMinimum;
+    }
+
     // Get the first row (headers)
     const headers = rows[0];
-    console.log("Original headers:", headers);
 
     // Find indices of columns to remove
-    const indicesToRemove = new Set();
-    headers.forEach((header, index) => {
-      const headerStr = String(header);
-      // Remove columns that start with any of the prefixes
-      if (prefixes.some((prefix) => headerStr.startsWith(prefix))) {
-        indicesToRemove.add(index);
-        console.log(`Removing column: "${header}" at index ${index}`);
-      }
-    });
+    const plan = planColumns(headers, rules, log);
+    const { indicesToRemove } = plan;
+    removedColumns = plan.removedColumns;
 
     // Filter out the specified columns from all rows
     const filteredRows = rows.map((row) => {
       return row.filter((_, index) => !indicesToRemove.has(index));
     });
 
-    console.log(`Removed ${indicesToRemove.size} columns`);
-    console.log("New headers:", filteredRows[0]);
+    log.debug("Removed columns", {
+      count: indicesToRemove.size,
+      headers: filteredRows[0],
+    });
 
     // Find the index of the Variant SKU column
-    const variantSKUIndex = filteredRows[0].findIndex(
-      (header) => String(header) === "Variant SKU",
-    );
-    console.log(`Variant SKU column index: ${variantSKUIndex}`);
+    const variantSKUIndex = findHeader(filteredRows[0], "Variant SKU");
+
+    // Include and exclude rows by the profile's filter rules
+    const rowFilter = createRowFilter(headers, rules.rowFilters);
 
-    const handleMap = new Set();
-    const uniqueRows = [filteredRows[0]]; // Keep header row
+    // Rename, reorder and compute the output columns
+    const mapper = compileMapping(rules.mapping, headers, filteredRows[0]);
+
+    const uniqueRows = [mapper.headers]; // Keep header row
+    const handleIndex = Math.max(findHeader(headers, "Handle"), 0);
 
     // Process data rows (skip header)
     for (let i = 1; i < filteredRows.length; i++) {
@@ -132,99 +403,120 @@ function createExport({ file, filename }) {
         ? row[variantSKUIndex].toString().trim()
         : "";
 
-      if (rowSKU) {
-        handleMap.add(handle);
-        uniqueRows.push(row);
+      // Every row goes through the filter, which tracks product values
+      const excluded = rowFilter(rows[i]) || belowMinimum(rows[i]);
+
+      if (rowSKU && !excluded) {
+        uniqueRows.push(mapper.mapRow(rows[i], row));
+        handles.push(String(rows[i][handleIndex] ?? "").trim());
+        keptRowIndices.push(i);
       } else {
-        continue; // Skip rows without Variant SKU
+        // Skip rows without Variant SKU or filtered out by a rule
+        droppedRowCount++;
+        if (droppedRows.length < sampleSize) {
+          droppedRows.push({
+            ...(origins ? origins[i] : { rowNumber: i + 1 }),
+            handle,
+            reason: rowSKU ? excluded : "Missing Variant SKU",
+          });
+        }
+        continue;
       }
     }
 
-    console.log(
-      `Processed ${rows.length - 1} data rows, kept ${
-        uniqueRows.length - 1
-      } unique rows`,
-    );
+    log.info("Transformed rows", {
+      inputRowCount: rows.length - 1,
+      rowCount: uniqueRows.length - 1,
+    });
     return uniqueRows;
   }
 
+  let removedColumns = [];
+  let droppedRowCount = 0;
+  const droppedRows = [];
+  const handles = [];
+  const keptRowIndices = [];
+  let rules;
+  try {
+    rules = compileProfile(profile);
+  } catch (error) {
+    return { success: false, error: `Invalid profile: ${error.message}` };
+  }
+
   // Read the file
   let rows;
-  let fileBuffer;
+  // What was found in the file: the encoding and delimiter of a CSV file,
+  // the sheets of a workbook
+  let input = null;
+  let isCsv = false;
 
-  // Handle different file input types
-  if (Buffer.isBuffer(file)) {
-    fileBuffer = file;
-  } else if (typeof file === "string") {
-    // If file is a path string
-    fileBuffer = fs.readFileSync(file);
-  } else if (file.buffer) {
-    // If file is a File object from browser
-    fileBuffer = Buffer.from(file.buffer);
+  if (inputRows) {
+    rows = inputRows;
+    input = inputDetails;
+    isCsv = Boolean(inputDetails?.delimiter);
   } else {
-    return { success: false, error: "Invalid file format" };
+    const read = readInput({ file, filename, sheet, mergeSheets, log });
+    if (!read.success) return read;
+    ({ rows, input, isCsv } = read);
   }
 
-  if (isXlsx) {
-    console.log("Reading XLSX file...");
-    const workbook = XLSX.read(fileBuffer, { type: "buffer" });
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-    rows = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
-  } else if (isCsv) {
-    console.log("Reading CSV file...");
-    const csvContent = fileBuffer.toString("utf-8");
-    rows = parseCSV(csvContent);
-  } else {
-    console.error(
-      "Unsupported file format. Please provide a CSV or XLSX file.",
-    );
-    return { success: false, error: "Unsupported file format" };
-  }
+  // Validate the original rows, before any column is removed. XLSX rows
+  // always span the whole sheet, so only CSV row lengths are checked.
+  const issues = validateRows(rows, { checkRowLength: isCsv, origins });
 
   // Transform the data
   const transformedData = transformData(rows);
 
+  if (preview) {
+    return {
+      success: transformedData.length > 0,
+      ...(transformedData.length > 0 ? {} : { error: "No data to export" }),
+      preview: {
+        originalHeaders: (rows[0] || []).map(String),
+        headers: (transformedData[0] || []).map(String),
+        removedColumns,
+        droppedRowCount,
+        droppedRows,
+        rows: transformedData.slice(1, sampleSize + 1),
+        inputRowCount: Math.max(rows.length - 1, 0),
+        rowCount: Math.max(transformedData.length - 1, 0),
+        issues,
+        input,
+        keptRowIndices,
+      },
+    };
+  }
+
   // Generate output
   if (transformedData.length > 0) {
-    if (isXlsx) {
-      // Generate XLSX output
-      const outputWorkbook = XLSX.utils.book_new();
-      const outputWorksheet = XLSX.utils.aoa_to_sheet(transformedData);
-      XLSX.utils.book_append_sheet(outputWorkbook, outputWorksheet, "Export");
-      const outputBuffer = XLSX.write(outputWorkbook, {
-        type: "buffer",
-        bookType: "xlsx",
-      });
-      const outputFilename = filename.replace(/\.xlsx$/i, "-export.xlsx");
-
-      console.log(`\nGenerated XLSX export: ${outputFilename}`);
-      return {
-        success: true,
-        filename: outputFilename,
-        buffer: outputBuffer,
-        rowCount: transformedData.length - 1,
-        data: transformedData,
-      };
-    } else {
-      // Generate CSV output
-      const csvOutput = transformedData.map((row) => rowToCSV(row)).join("\n");
-      const outputBuffer = Buffer.from(csvOutput, "utf-8");
-      const outputFilename = filename.replace(/\.csv$/i, "-export.csv");
-
-      console.log(`\nGenerated CSV export: ${outputFilename}`);
-      return {
-        success: true,
-        filename: outputFilename,
-        buffer: outputBuffer,
-        rowCount: transformedData.length - 1,
-        data: transformedData,
-      };
-    }
+    const outputFilename = exportFilename(filename, format);
+    const outputBuffer = writeOutput(format, transformedData, { handles });
+
+    log.info("Generated export", { format, filename: outputFilename });
+    return {
+      success: true,
+      filename: outputFilename,
+      format,
+      buffer: outputBuffer,
+      rowCount: transformedData.length - 1,
+      inputRowCount: rows.length - 1,
+      removedColumns,
+      issues,
+      input,
+      data: transformedData,
+      keptRowIndices,
+    };
   } else {
-    console.log("No data to export");
+    log.warn("No data to export", { filename });
     return { success: false, error: "No data to export" };
   }
 }
 
-export { createExport };
+export {
+  createExport,
+  readInput,
+  DEFAULT_PROFILE,
+  compileProfile,
+  findRemovalRule,
+  planColumns,
+};
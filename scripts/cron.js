@@ -0,0 +1,129 @@
+/* eslint-env node */
+
+// Five-field cron expressions (minute hour day-of-month month day-of-week),
+// evaluated in UTC. Fields take *, numbers, ranges (1-5), lists (1,15) and
+// steps (*/15, 8-18/2). Day of week runs 0-6 from Sunday; 7 is Sunday too.
+// When both day fields are restricted, a day matching either one counts,
+// as in standard cron.
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 },
+];
+
+const MACROS = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+};
+
+// Searching further than this means the expression never matches, e.g.
+// 0 0 30 2 *.
+const MAX_SEARCH_MINUTES = 366 * 24 * 60 * 5;
+
+function parseNumber(text, field) {
+  if (!/^\d+$/.test(text)) {
+    throw new Error(`Invalid ${field.name} "${text}"`);
+  }
+  const value = Number(text);
+  if (value < field.min || value > field.max) {
+    throw new Error(
+      `${field.name} ${value} is outside ${field.min}-${field.max}`,
+    );
+  }
+  return value;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(",")) {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : parseNumber(stepText, field);
+    if (step === 0) throw new Error(`Step of ${field.name} must not be 0`);
+
+    let from;
+    let to;
+    if (range === "*") {
+      from = field.min;
+      to = field.max;
+    } else if (range.includes("-")) {
+      const [start, end] = range.split("-");
+      from = parseNumber(start, field);
+      to = parseNumber(end, field);
+      if (from > to) throw new Error(`Invalid ${field.name} range "${range}"`);
+    } else {
+      from = parseNumber(range, field);
+      to = stepText === undefined ? from : field.max;
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+// Throws with a readable message when the expression is invalid.
+function parseCron(expression) {
+  const text = String(expression || "").trim();
+  const parts = (MACROS[text] || text).split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error("Expected 5 fields: minute hour day month weekday");
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) =>
+    parseField(part, FIELDS[i]),
+  );
+  if (weekdays.delete(7)) weekdays.add(0);
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === "*",
+    anyWeekday: parts[4] === "*",
+  };
+}
+
+function matchesDay(cron, date) {
+  const day = cron.days.has(date.getUTCDate());
+  const weekday = cron.weekdays.has(date.getUTCDay());
+  if (cron.anyDay || cron.anyWeekday) return day && weekday;
+  return day || weekday;
+}
+
+// First minute after `after` that the expression matches.
+function nextCronDate(expression, after = new Date()) {
+  const cron = parseCron(expression);
+  const date = new Date(after);
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  for (let i = 0; i < MAX_SEARCH_MINUTES; i++) {
+    if (!cron.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0);
+    } else if (!cron.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0);
+    } else if (!cron.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+
+  throw new Error(`"${expression}" never matches`);
+}
+
+export { nextCronDate, parseCron };
@@ -0,0 +1,99 @@
+/* eslint-env node */
+
+// Incremental CSV parser. Text can be fed in arbitrary chunks with `write`
+// and every complete row is handed to `onRow`; `end` flushes the last row.
+// Quotes toggle quoting anywhere in a field, a doubled quote inside quotes
+// is a literal quote, and CR, LF or CRLF end a row. Blank lines are skipped.
+function createRowParser(onRow, { delimiter = "," } = {}) {
+  let row = [];
+  let field = "";
+  let insideQuotes = false;
+  // A quote inside quotes was the last character of the previous chunk, so
+  // it is not yet known whether it closes the field or escapes a quote.
+  let pendingQuote = false;
+
+  function endRow() {
+    if (field || row.length > 0) {
+      row.push(field);
+      onRow(row);
+      row = [];
+      field = "";
+    }
+  }
+
+  function write(text) {
+    let runStart = 0;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (pendingQuote) {
+        pendingQuote = false;
+        if (char === '"') {
+          field += '"';
+          runStart = i + 1;
+          continue;
+        }
+        insideQuotes = false;
+      }
+
+      if (char === '"') {
+        field += text.slice(runStart, i);
+        runStart = i + 1;
+        if (insideQuotes) {
+          pendingQuote = true;
+        } else {
+          insideQuotes = true;
+        }
+      } else if (!insideQuotes && char === delimiter) {
+        field += text.slice(runStart, i);
+        runStart = i + 1;
+        row.push(field);
+        field = "";
+      } else if (!insideQuotes && (char === "\n" || char === "\r")) {
+        field += text.slice(runStart, i);
+        runStart = i + 1;
+        endRow();
+      }
+    }
+
+    field += text.slice(runStart);
+  }
+
+  function end() {
+    pendingQuote = false;
+    insideQuotes = false;
+    endRow();
+  }
+
+  return { write, end };
+}
+
+function parseCSV(content, options) {
+  const rows = [];
+  const parser = createRowParser((row) => rows.push(row), options);
+
+  parser.write(content);
+  parser.end();
+
+  return rows;
+}
+
+function rowToCSV(row, { delimiter = "," } = {}) {
+  return row
+    .map((field) => {
+      const fieldStr = String(field);
+      if (
+        fieldStr.includes(delimiter) ||
+        fieldStr.includes('"') ||
+        fieldStr.includes("\n") ||
+        fieldStr.includes("\r")
+      ) {
+        return `"${fieldStr.replace(/"/g, '""')}"`;
+      }
+      return fieldStr;
+    })
+    .join(delimiter);
+}
+
+export { createRowParser, parseCSV, rowToCSV };
@@ -0,0 +1,89 @@
+/* eslint-env node */
+
+// Delimiters a CSV file is sniffed for, in order of preference on a tie.
+const DELIMITERS = [",", ";", "\t", "|"];
+
+// Works out how a text file is encoded from its first bytes. A byte order
+// mark wins; otherwise UTF-16 is recognised by its zero bytes and anything
+// that is not valid UTF-8 is taken to be Windows-1252, which is what Excel
+// writes on most Western European systems. Returns the encoding label for
+// TextDecoder and the length of the BOM to skip.
+function detectEncoding(sample) {
+  if (sample[0] === 0xef && sample[1] === 0xbb && sample[2] === 0xbf) {
+    return { encoding: "utf-8", bomLength: 3 };
+  }
+  if (sample[0] === 0xff && sample[1] === 0xfe) {
+    return { encoding: "utf-16le", bomLength: 2 };
+  }
+  if (sample[0] === 0xfe && sample[1] === 0xff) {
+    return { encoding: "utf-16be", bomLength: 2 };
+  }
+
+  // ASCII text in UTF-16 has a zero byte in every other position
+  const length = Math.min(sample.length, 1024) & ~1;
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < length; i += 2) {
+    if (sample[i] === 0) evenZeros++;
+    if (sample[i + 1] === 0) oddZeros++;
+  }
+  if (length > 0 && oddZeros > length / 4 && evenZeros === 0) {
+    return { encoding: "utf-16le", bomLength: 0 };
+  }
+  if (length > 0 && evenZeros > length / 4 && oddZeros === 0) {
+    return { encoding: "utf-16be", bomLength: 0 };
+  }
+
+  try {
+    // A multi-byte character cut off at the end of the sample is fine
+    new TextDecoder("utf-8", { fatal: true }).decode(sample, { stream: true });
+    return { encoding: "utf-8", bomLength: 0 };
+  } catch {
+    return { encoding: "windows-1252", bomLength: 0 };
+  }
+}
+
+// Picks the delimiter that splits the first lines of a file into the same,
+// largest number of fields. Quoted fields are skipped.
+function sniffDelimiter(text) {
+  const lines = [];
+  let line = "";
+  let inQuotes = false;
+  for (let i = 0; i < text.length && lines.length < 10; i++) {
+    const char = text[i];
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if ((char === "\n" || char === "\r") && !inQuotes) {
+      if (line) lines.push(line);
+      line = "";
+      continue;
+    }
+    if (!inQuotes) line += char;
+  }
+  if (line && lines.length < 10) lines.push(line);
+
+  let best = DELIMITERS[0];
+  let bestScore = 0;
+  for (const delimiter of DELIMITERS) {
+    const counts = lines.map((l) => l.split(delimiter).length - 1);
+    if (counts.length === 0 || counts[0] === 0) continue;
+    // Lines that agree with the header count more than stray occurrences
+    const consistent = counts.filter((count) => count === counts[0]).length;
+    const score = counts[0] * consistent;
+    if (score > bestScore) {
+      best = delimiter;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+// Decode a whole file. Returns the text without BOM and what was detected.
+function decodeText(buffer) {
+  const { encoding, bomLength } = detectEncoding(buffer);
+  const text = new TextDecoder(encoding).decode(buffer.subarray(bomLength));
+
+  return { text, encoding, bom: bomLength > 0 };
+}
+
+export { DELIMITERS, decodeText, detectEncoding, sniffDelimiter };
@@ -0,0 +1,245 @@
+/* eslint-env node */
+import { rowToCSV } from "./csv.js";
+import { findHeader } from "./headers.js";
+
+// Goossens sends back a sheet with the SKU, the agreed price and the
+// available quantity of each product. Each row is matched to the shop's
+// variant with that SKU and planned as a change of its price and of its
+// available quantity at one location. Empty price or quantity cells leave
+// that value alone.
+
+// Headers recognised for each column, first match wins.
+const FEEDBACK_COLUMNS = {
+  sku: ["SKU", "Variant SKU"],
+  price: ["Agreed Price", "Price", "Variant Price"],
+  quantity: [
+    "Available Quantity",
+    "Available",
+    "Quantity",
+    "Variant Inventory Qty",
+  ],
+};
+
+// What happens, or happened, to a row.
+const FEEDBACK_STATUSES = {
+  change: "Will change",
+  unchanged: "No change",
+  invalid: "Invalid",
+  duplicate: "Duplicate SKU",
+  "not-found": "Not found",
+  stale: "Changed since dry run",
+  applied: "Applied",
+  failed: "Failed",
+};
+
+const REPORT_HEADERS = [
+  "Row",
+  "SKU",
+  "Status",
+  "Price Before",
+  "Price After",
+  "Quantity Before",
+  "Quantity After",
+  "Message",
+];
+
+function findColumn(headers, names) {
+  for (const name of names) {
+    const index = findHeader(headers, name);
+    if (index >= 0) return index;
+  }
+  return -1;
+}
+
+// Read the rows of a feedback file (header first) into entries of
+// { rowNumber, sku, price, quantity, error }. Returns { entries } or
+// { error } when the SKU column, or both the price and quantity columns,
+// are missing.
+function parseFeedbackRows(rows) {
+  const headers = rows[0] || [];
+  const skuIndex = findColumn(headers, FEEDBACK_COLUMNS.sku);
+  const priceIndex = findColumn(headers, FEEDBACK_COLUMNS.price);
+  const quantityIndex = findColumn(headers, FEEDBACK_COLUMNS.quantity);
+
+  if (skuIndex < 0) {
+    return { error: "No SKU column found" };
+  }
+  if (priceIndex < 0 && quantityIndex < 0) {
+    return { error: "No price or quantity column found" };
+  }
+
+  const text = (row, index) =>
+    index < 0 ? "" : String(row[index] ?? "").trim();
+  const entries = [];
+
+  for (let i = 1; i < rows.length; i++) {
+    const row = rows[i];
+    if (row.every((cell) => String(cell ?? "").trim() === "")) continue;
+
+    const entry = {
+      rowNumber: i + 1,
+      sku: text(row, skuIndex),
+      price: null,
+      quantity: null,
+      error: null,
+    };
+    const errors = [];
+
+    const price = text(row, priceIndex).replace(",", ".");
+    if (price !== "") {
+      entry.price = Number(price);
+      if (!Number.isFinite(entry.price) || entry.price < 0) {
+        errors.push(`Price "${text(row, priceIndex)}" is not a number`);
+      }
+    }
+
+    const quantity = text(row, quantityIndex);
+    if (quantity !== "") {
+      entry.quantity = Number(quantity);
+      if (!Number.isInteger(entry.quantity)) {
+        errors.push(`Quantity "${quantity}" is not a whole number`);
+      }
+    }
+
+    if (!entry.sku) errors.unshift("Missing SKU");
+    entry.error = errors.join("; ") || null;
+    entries.push(entry);
+  }
+
+  return { entries };
+}
+
+// Compare the entries with the shop's variants, a Map<sku, { id, productId,
+// price, inventoryItemId, available }> where `available` is null when the
+// item is not stocked at the location. Returns one planned row per entry:
+// { rowNumber, sku, status, variantId, productId, inventoryItemId, price,
+// quantity, message }, `price` and `quantity` being { from, to } or null
+// when they do not change.
+function planFeedbackChanges(entries, variants) {
+  const firstRow = new Map();
+
+  return entries.map((entry) => {
+    const planned = {
+      rowNumber: entry.rowNumber,
+      sku: entry.sku,
+      status: "unchanged",
+      price: null,
+      quantity: null,
+      message: "",
+    };
+
+    if (entry.error) {
+      return { ...planned, status: "invalid", message: entry.error };
+    }
+    if (firstRow.has(entry.sku)) {
+      return {
+        ...planned,
+        status: "duplicate",
+        message: `Same SKU as row ${firstRow.get(entry.sku)}`,
+      };
+    }
+    firstRow.set(entry.sku, entry.rowNumber);
+
+    const variant = variants.get(entry.sku);
+    if (!variant) {
+      return {
+        ...planned,
+        status: "not-found",
+        message: "No variant with this SKU",
+      };
+    }
+
+    planned.variantId = variant.id;
+    planned.productId = variant.productId;
+    planned.inventoryItemId = variant.inventoryItemId;
+
+    if (entry.price !== null && Number(variant.price) !== entry.price) {
+      planned.price = { from: variant.price, to: entry.price.toFixed(2) };
+    }
+    if (entry.quantity !== null) {
+      if (variant.available === null) {
+        planned.message = "Not stocked at the location";
+      } else if (variant.available !== entry.quantity) {
+        planned.quantity = { from: variant.available, to: entry.quantity };
+      }
+    }
+
+    if (planned.price || planned.quantity) planned.status = "change";
+    return planned;
+  });
+}
+
+// The changes of a plan as confirmed in a dry run: { rowNumber, price,
+// quantity } of every row that is to change.
+function confirmableChanges(rows) {
+  return rows
+    .filter((row) => row.status === "change")
+    .map(({ rowNumber, price, quantity }) => ({ rowNumber, price, quantity }));
+}
+
+// Hold a fresh plan to the changes confirmed in the dry run (see
+// confirmableChanges). A row whose change differs from the confirmed one,
+// because the shop or the file changed in between, is marked "stale" and
+// left alone.
+function confirmFeedbackChanges(rows, confirmed) {
+  const byRow = new Map(confirmed.map((row) => [row.rowNumber, row]));
+  const same = (a, b) =>
+    String(a?.from ?? "") === String(b?.from ?? "") &&
+    String(a?.to ?? "") === String(b?.to ?? "");
+
+  return rows.map((row) => {
+    if (row.status !== "change") return row;
+    const expected = byRow.get(row.rowNumber);
+    if (
+      expected &&
+      same(row.price, expected.price) &&
+      same(row.quantity, expected.quantity)
+    ) {
+      return row;
+    }
+    return {
+      ...row,
+      status: "stale",
+      message: "Changed since the dry run; check the file again",
+    };
+  });
+}
+
+// Number of rows per status.
+function countFeedbackStatuses(rows) {
+  const counts = Object.fromEntries(
+    Object.keys(FEEDBACK_STATUSES).map((status) => [status, 0]),
+  );
+  for (const row of rows) counts[row.status]++;
+  return counts;
+}
+
+// The per-row report of a dry run or an import, as CSV text.
+function feedbackReportToCSV(rows) {
+  return [
+    REPORT_HEADERS,
+    ...rows.map((row) => [
+      row.rowNumber,
+      row.sku,
+      FEEDBACK_STATUSES[row.status],
+      row.price?.from ?? "",
+      row.price?.to ?? "",
+      row.quantity?.from ?? "",
+      row.quantity?.to ?? "",
+      row.message,
+    ]),
+  ]
+    .map((row) => rowToCSV(row))
+    .join("\n");
+}
+
+export {
+  FEEDBACK_COLUMNS,
+  FEEDBACK_STATUSES,
+  confirmFeedbackChanges,
+  confirmableChanges,
+  countFeedbackStatuses,
+  feedbackReportToCSV,
+  parseFeedbackRows,
+  planFeedbackChanges,
+};
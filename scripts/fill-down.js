@@ -0,0 +1,54 @@
+/* eslint-env node */
+import { findHeader } from "./headers.js";
+
+// Product-level columns Shopify only fills on the first row of a handle.
+const PRODUCT_COLUMNS = [
+  "Title",
+  "Body (HTML)",
+  "Vendor",
+  "Product Category",
+  "Type",
+  "Tags",
+  "Published",
+  "Option1 Name",
+  "Option2 Name",
+  "Option3 Name",
+  "Gift Card",
+  "SEO Title",
+  "SEO Description",
+  "Status",
+];
+
+// Returns a function that copies the given columns from the first row of a
+// handle into the following rows of the same handle where they are empty.
+// Rows must be passed in file order; each call returns a new row.
+function createFillDown(headers, columns = PRODUCT_COLUMNS) {
+  const handleIndex = Math.max(findHeader(headers, "Handle"), 0);
+  const indices = columns
+    .map((column) => findHeader(headers, column))
+    .filter((index) => index >= 0);
+
+  let currentHandle = null;
+  let values = new Map();
+
+  return (row) => {
+    const handle = row[handleIndex] ? String(row[handleIndex]).trim() : "";
+    if (handle !== currentHandle) {
+      currentHandle = handle;
+      values = new Map();
+    }
+
+    const filled = row.slice();
+    for (const index of indices) {
+      const value = row[index];
+      if (value !== undefined && value !== null && value !== "") {
+        values.set(index, value);
+      } else if (values.has(index)) {
+        filled[index] = values.get(index);
+      }
+    }
+    return filled;
+  };
+}
+
+export { PRODUCT_COLUMNS, createFillDown };
@@ -0,0 +1,22 @@
+/* eslint-env node */
+
+// Header names are compared ignoring case and surrounding or repeated
+// whitespace, so " variant  SKU" in a hand-edited file still matches.
+function normalizeHeader(header) {
+  return String(header ?? "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .toLowerCase();
+}
+
+function sameHeader(a, b) {
+  return normalizeHeader(a) === normalizeHeader(b);
+}
+
+// Index of a named column in a header row, or -1.
+function findHeader(headers, name) {
+  const wanted = normalizeHeader(name);
+  return headers.findIndex((header) => normalizeHeader(header) === wanted);
+}
+
+export { findHeader, normalizeHeader, sameHeader };
@@ -0,0 +1,93 @@
+/* eslint-env node */
+import { findHeader } from "./headers.js";
+
+const IMAGE_MODES = ["none", "delimited", "numbered"];
+
+// Headers of the columns an image mode adds to every row.
+function imageHeaders({ mode, columns = 5 }) {
+  if (mode === "delimited") return ["Images"];
+  if (mode === "numbered") {
+    return Array.from({ length: columns }, (_, i) => `Image ${i + 1}`);
+  }
+  return [];
+}
+
+// Groups the rows of each handle, collects every image they mention and
+// appends the image columns to each row. Shopify lists a product's extra
+// images on image-only rows after its variants, so rows are held back until
+// the handle changes: `push` returns the rows that are complete, `flush`
+// the rest. The variant's own image comes first, then the others by
+// position.
+function createImageGrouper(headers, { mode, delimiter = ";", columns = 5 }) {
+  const index = (name) => findHeader(headers, name);
+  const handleIndex = Math.max(index("Handle"), 0);
+  const srcIndex = index("Image Src");
+  const positionIndex = index("Image Position");
+  const variantImageIndex = index("Variant Image");
+
+  const value = (row, i) =>
+    i >= 0 && row[i] !== undefined && row[i] !== null
+      ? String(row[i]).trim()
+      : "";
+
+  let currentHandle = null;
+  let group = [];
+
+  function complete() {
+    const images = [];
+    group.forEach((row, order) => {
+      const src = value(row, srcIndex);
+      if (src && !images.some((image) => image.src === src)) {
+        const position = Number(value(row, positionIndex));
+        images.push({
+          src,
+          position:
+            Number.isFinite(position) && position > 0 ? position : Infinity,
+          order,
+        });
+      }
+    });
+    images.sort((a, b) => a.position - b.position || a.order - b.order);
+    const sources = images.map((image) => image.src);
+
+    const rows = group.map((row) => {
+      const variantImage = value(row, variantImageIndex);
+      const ordered = variantImage
+        ? [variantImage, ...sources.filter((src) => src !== variantImage)]
+        : sources;
+      const extra =
+        mode === "delimited"
+          ? [ordered.join(delimiter)]
+          : Array.from({ length: columns }, (_, i) => ordered[i] || "");
+      return [...row, ...extra];
+    });
+
+    group = [];
+    return rows;
+  }
+
+  return {
+    headers: [...headers, ...imageHeaders({ mode, columns })],
+    push(row) {
+      const handle = value(row, handleIndex);
+      const done = handle !== currentHandle ? complete() : [];
+      currentHandle = handle;
+      group.push(row);
+      return done;
+    },
+    flush: complete,
+  };
+}
+
+// Apply image grouping to all data rows of a parsed file (header first).
+function groupImages(rows, options) {
+  const grouper = createImageGrouper(rows[0], options);
+  const result = [grouper.headers];
+  for (let i = 1; i < rows.length; i++) {
+    result.push(...grouper.push(rows[i]));
+  }
+  result.push(...grouper.flush());
+  return result;
+}
+
+export { IMAGE_MODES, createImageGrouper, groupImages, imageHeaders };
@@ -0,0 +1,107 @@
+/* eslint-env node */
+import { findHeader } from "./headers.js";
+
+// Stock per location, joined onto each SKU row from the shop's inventory
+// levels:
+//
+//   "columns"  one "Stock [Location]" column per selected location
+//   "sum"      one "Stock" column with the total over the selected locations
+//
+// `minimumStock` leaves out ("drop") or zeroes ("zero") the SKUs with less
+// stock than that. The stock compared is the total over the selected
+// locations, or Variant Inventory Qty when no locations are selected.
+const INVENTORY_MODES = ["none", "columns", "sum"];
+const BELOW_MINIMUM_ACTIONS = ["drop", "zero"];
+
+const TOTAL_STOCK_HEADER = "Stock";
+
+// Headers of the columns an inventory mode adds to every row.
+function inventoryHeaders({ mode, locations = [] }) {
+  if (mode === "columns") {
+    return locations.map((location) => `Stock [${location.name}]`);
+  }
+  if (mode === "sum") return [TOTAL_STOCK_HEADER];
+  return [];
+}
+
+// Add one page of inventory levels of a location, each with the `item`
+// SKU and the `available` quantity, to a Map<sku, { [locationId]: quantity }>.
+function collectInventoryLevels(nodes, locationId, levels = new Map()) {
+  for (const level of nodes) {
+    const sku = String(level.item?.sku ?? "").trim();
+    if (!sku) continue;
+
+    const available = level.quantities.find(
+      (quantity) => quantity.name === "available",
+    );
+    if (!levels.has(sku)) levels.set(sku, {});
+    const quantities = levels.get(sku);
+    quantities[locationId] =
+      (quantities[locationId] || 0) + (available?.quantity ?? 0);
+  }
+  return levels;
+}
+
+// Returns { headers, transform, belowMinimum } for the profile's inventory
+// settings and the shop's `levels` (see collectInventoryLevels). `transform`
+// returns a new row with the stock columns appended, zeroed when the SKU is
+// below the minimum and `belowMinimum` is "zero". `belowMinimum` tells why
+// a transformed row is dropped, or null when it is kept. Without `levels`
+// (e.g. on the command line) the stock columns stay empty and the minimum
+// applies to Variant Inventory Qty.
+function createInventoryTransform(headers, inventory, levels) {
+  const { mode, locations = [], minimumStock, belowMinimum } = inventory;
+  const skuIndex = findHeader(headers, "Variant SKU");
+  const quantityIndex = findHeader(headers, "Variant Inventory Qty");
+  const hasMinimum = minimumStock !== null && minimumStock !== undefined;
+
+  const quantities = (row) => {
+    const sku = String(row[skuIndex] ?? "").trim();
+    const stock = (sku && levels.get(sku)) || {};
+    return locations.map((location) => stock[location.id] || 0);
+  };
+  const total = (row) => {
+    if (levels && locations.length) {
+      return quantities(row).reduce((sum, quantity) => sum + quantity, 0);
+    }
+    return Number(row[quantityIndex]) || 0;
+  };
+
+  return {
+    headers: [...headers, ...inventoryHeaders(inventory)],
+    transform(row) {
+      const stock = mode === "none" || !levels ? [] : quantities(row);
+      const isZeroed =
+        hasMinimum && belowMinimum === "zero" && total(row) < minimumStock;
+      const result = row.slice();
+      while (result.length < headers.length) result.push("");
+
+      if (isZeroed && quantityIndex >= 0) result[quantityIndex] = "0";
+      if (!levels) {
+        result.push(...inventoryHeaders(inventory).map(() => ""));
+      } else if (mode === "columns") {
+        result.push(...stock.map((quantity) => (isZeroed ? 0 : quantity)));
+      } else if (mode === "sum") {
+        result.push(
+          isZeroed ? 0 : stock.reduce((sum, quantity) => sum + quantity, 0),
+        );
+      }
+      return result;
+    },
+    belowMinimum(row) {
+      if (!hasMinimum || belowMinimum !== "drop") return null;
+      const stock = total(row);
+      return stock < minimumStock
+        ? `Stock ${stock} below minimum ${minimumStock}`
+        : null;
+    },
+  };
+}
+
+export {
+  BELOW_MINIMUM_ACTIONS,
+  INVENTORY_MODES,
+  collectInventoryLevels,
+  createInventoryTransform,
+  inventoryHeaders,
+};
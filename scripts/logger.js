@@ -0,0 +1,61 @@
+/* eslint-env node */
+
+// Structured logging: one JSON object per line with the time, level and
+// message, plus the context of the logger (shop, requestId, exportId, ...)
+// and the fields of the call. Lines below `level` (LOG_LEVEL, default
+// "info") are dropped. Warnings and errors go to stderr and the rest to
+// stdout, unless `stream` takes every line.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Errors are logged with their message and stack, not as "{}".
+function serialize(fields) {
+  const result = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    result[key] =
+      value instanceof Error
+        ? { message: value.message, stack: value.stack }
+        : value;
+  }
+  return result;
+}
+
+// Returns { debug, info, warn, error, child }. Each level takes a message
+// and optional fields; `child` returns a logger with more context.
+function createLogger(
+  context = {},
+  { level = process.env.LOG_LEVEL || "info", stream } = {},
+) {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+
+  const log =
+    (name) =>
+    (msg, fields = {}) => {
+      if (LEVELS[name] < threshold) return;
+
+      const line = JSON.stringify({
+        time: new Date().toISOString(),
+        level: name,
+        msg,
+        ...serialize(context),
+        ...serialize(fields),
+      });
+      const output =
+        stream ||
+        (LEVELS[name] >= LEVELS.warn ? process.stderr : process.stdout);
+      output.write(`${line}\n`);
+    };
+
+  return {
+    debug: log("debug"),
+    info: log("info"),
+    warn: log("warn"),
+    error: log("error"),
+    child: (fields) =>
+      createLogger({ ...context, ...fields }, { level, stream }),
+  };
+}
+
+const logger = createLogger();
+
+export { LEVELS, createLogger, logger };
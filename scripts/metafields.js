@@ -0,0 +1,176 @@
+/* eslint-env node */
+
+// Metafield columns in Shopify exports carry their owner, namespace and key
+// in brackets after a readable name:
+//
+//   Material (product.metafields.custom.material)
+//   Google Shopping / Gender (product.metafields.mm-google-shopping.gender)
+//   Size (variant.metafields.custom.size)
+//
+// A profile selects metafields by namespace.key, optionally prefixed with
+// the owner, and names their output column:
+//
+//   custom.material = Material
+//   variant.custom.size = Maat
+//   mm-google-shopping.gender
+//
+// Selected columns are renamed (or keep their header when no name is
+// given) and are never removed by the other rules; once a selection is
+// made, the other metafield columns are left out. List and JSON values are
+// flattened to readable text, e.g. ["Cotton","Linen"] to "Cotton; Linen".
+
+const HEADER_PATTERN =
+  /^(.*?)\s*\((product|variant)\.metafields\.([^.()\s]+)\.([^()\s]+)\)\s*$/i;
+
+// { name, owner, namespace, key } for a metafield column, otherwise null.
+function parseMetafieldHeader(header) {
+  const match = HEADER_PATTERN.exec(String(header ?? "").trim());
+  if (!match) return null;
+  return {
+    name: match[1].trim(),
+    owner: match[2].toLowerCase(),
+    namespace: match[3],
+    key: match[4],
+  };
+}
+
+// Parse one selection such as "variant.custom.size".
+function parseMetafieldKey(text) {
+  const parts = String(text || "")
+    .trim()
+    .split(".");
+  const owner = ["product", "variant"].includes(parts[0]?.toLowerCase())
+    ? parts.shift().toLowerCase()
+    : null;
+  if (parts.length !== 2 || parts.some((part) => !part || /\s/.test(part))) {
+    throw new Error(`Expected namespace.key in ${text}`);
+  }
+  return { owner, namespace: parts[0], key: parts[1] };
+}
+
+function matchesKey(selection, metafield) {
+  return (
+    (!selection.owner || selection.owner === metafield.owner) &&
+    selection.namespace.toLowerCase() === metafield.namespace.toLowerCase() &&
+    selection.key.toLowerCase() === metafield.key.toLowerCase()
+  );
+}
+
+// Readable text for a metafield value. Values that are not JSON are kept.
+function flattenValue(value, delimiter) {
+  const text = String(value ?? "").trim();
+  if (!/^[[{]/.test(text)) return value;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    return value;
+  }
+
+  const flatten = (item) => {
+    if (item === null || item === undefined) return "";
+    if (Array.isArray(item)) {
+      return item.map(flatten).filter(Boolean).join(delimiter);
+    }
+    if (typeof item === "object") {
+      // Measurements, money and ratings
+      if ("value" in item && "unit" in item) {
+        return `${item.value} ${item.unit}`;
+      }
+      if ("amount" in item && "currency_code" in item) {
+        return `${item.amount} ${item.currency_code}`;
+      }
+      if ("value" in item && "scale_max" in item) {
+        return `${item.value}/${item.scale_max}`;
+      }
+      return Object.entries(item)
+        .map(([key, entry]) => `${key}: ${flatten(entry)}`)
+        .join(delimiter);
+    }
+    return String(item);
+  };
+
+  return flatten(parsed);
+}
+
+// Check the selections of a profile up front so a broken one fails early.
+function compileMetafields(selections) {
+  return (selections || []).map((selection) => ({
+    ...parseMetafieldKey(selection.key),
+    header: selection.header || "",
+  }));
+}
+
+// Returns { headers, transform } for compiled selections. Selected metafield
+// columns get their output header and `transform` returns a new row with
+// every metafield value flattened.
+function createMetafieldTransform(
+  headers,
+  selections,
+  { delimiter = "; " } = {},
+) {
+  const metafields = headers.map(parseMetafieldHeader);
+  const indices = metafields
+    .map((metafield, index) => (metafield ? index : -1))
+    .filter((index) => index >= 0);
+
+  return {
+    headers: headers.map((header, index) => {
+      const metafield = metafields[index];
+      const selection =
+        metafield && findMetafieldSelection(metafield, selections);
+      return selection?.header || header;
+    }),
+    transform(row) {
+      if (indices.length === 0) return row;
+      const result = row.slice();
+      for (const index of indices) {
+        result[index] = flattenValue(row[index], delimiter);
+      }
+      return result;
+    },
+  };
+}
+
+// The selection matching a parsed metafield header, or undefined.
+function findMetafieldSelection(metafield, selections) {
+  return selections.find((selection) => matchesKey(selection, metafield));
+}
+
+// Parse the "namespace.key [= Header]" lines used to edit the selection.
+function parseMetafieldLines(text) {
+  return String(text || "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const separator = line.indexOf("=");
+      const key = (separator < 0 ? line : line.slice(0, separator)).trim();
+      parseMetafieldKey(key);
+      return {
+        key,
+        header: separator < 0 ? "" : line.slice(separator + 1).trim(),
+      };
+    });
+}
+
+function formatMetafieldLines(selections) {
+  return (selections || [])
+    .map((selection) =>
+      selection.header
+        ? `${selection.key} = ${selection.header}`
+        : selection.key,
+    )
+    .join("\n");
+}
+
+export {
+  compileMetafields,
+  createMetafieldTransform,
+  findMetafieldSelection,
+  flattenValue,
+  formatMetafieldLines,
+  parseMetafieldHeader,
+  parseMetafieldLines,
+};
@@ -0,0 +1,313 @@
+/* eslint-env node */
+import { createExport, readInput } from "./create-export.js";
+import { findHeader, normalizeHeader } from "./headers.js";
+import { formatFromFilename } from "./output-formats.js";
+import { validateRowLengths } from "./validate.js";
+import { writeZip } from "./xlsx.js";
+
+// Ways to export several uploaded files at once.
+const MULTI_FILE_MODES = {
+  merge: "Merge into one file",
+  zip: "One export per file, zipped",
+};
+
+// Combine the rows of several files into one table. The headers are the
+// union of all files, matched loosely and in order of first appearance.
+// A product (handle) already read from an earlier file is a duplicate: its
+// rows in later files are dropped. `origins[i]` is the `{ file, rowNumber }`
+// merged row i came from.
+function mergeInputs(inputs) {
+  const headers = [];
+  const headerIndex = new Map();
+  for (const { rows } of inputs) {
+    for (const header of rows[0] || []) {
+      const key = normalizeHeader(header);
+      if (!headerIndex.has(key)) {
+        headerIndex.set(key, headers.length);
+        headers.push(String(header));
+      }
+    }
+  }
+
+  const rows = [headers];
+  const origins = [null];
+  const seenHandles = new Set();
+  const files = [];
+
+  for (const { filename, rows: fileRows } of inputs) {
+    const fileHeaders = fileRows[0] || [];
+    const columns = fileHeaders.map((header) =>
+      headerIndex.get(normalizeHeader(header)),
+    );
+    const handleIndex = Math.max(findHeader(fileHeaders, "Handle"), 0);
+    const fileHandles = new Set();
+    let duplicateRowCount = 0;
+
+    for (let i = 1; i < fileRows.length; i++) {
+      const row = fileRows[i];
+      const handle = String(row[handleIndex] ?? "").trim();
+      if (handle && seenHandles.has(handle)) {
+        duplicateRowCount++;
+        continue;
+      }
+      if (handle) fileHandles.add(handle);
+
+      const merged = new Array(headers.length).fill("");
+      row.forEach((value, c) => {
+        if (columns[c] !== undefined) merged[columns[c]] = value ?? "";
+      });
+      rows.push(merged);
+      origins.push({ file: filename, rowNumber: i + 1 });
+    }
+
+    fileHandles.forEach((handle) => seenHandles.add(handle));
+    files.push({
+      filename,
+      inputRowCount: Math.max(fileRows.length - 1, 0),
+      duplicateRowCount,
+    });
+  }
+
+  return { rows, origins, files };
+}
+
+// Per-file summary of a merged export: rows read, exported and dropped,
+// either as a duplicate of an earlier file or by the export itself.
+function summarizeMerge(files, origins, keptRowIndices) {
+  const keptByFile = new Map();
+  for (const index of keptRowIndices) {
+    const { file } = origins[index];
+    keptByFile.set(file, (keptByFile.get(file) || 0) + 1);
+  }
+
+  return files.map((file) => {
+    const rowCount = keptByFile.get(file.filename) || 0;
+    return {
+      ...file,
+      rowCount,
+      droppedRowCount: file.inputRowCount - rowCount,
+    };
+  });
+}
+
+// Zip entries need distinct names; repeated names get a -2, -3... suffix.
+function uniqueFilename(filename, taken) {
+  let name = filename;
+  for (let n = 2; taken.has(name); n++) {
+    name = filename.replace(/(\.[^.]+)?$/, `-${n}$1`);
+  }
+  taken.add(name);
+  return name;
+}
+
+function mergeFiles({
+  inputs,
+  filename,
+  format,
+  profile,
+  preview,
+  sampleSize,
+  inventoryLevels,
+  log,
+}) {
+  const merged = mergeInputs(inputs);
+  const result = createExport({
+    rows: merged.rows,
+    origins: merged.origins,
+    filename,
+    format,
+    profile,
+    preview,
+    sampleSize,
+    inventoryLevels,
+    log,
+  });
+  if (!result.success) return result;
+
+  const summary = preview ? result.preview : result;
+  const files = summarizeMerge(
+    merged.files,
+    merged.origins,
+    summary.keptRowIndices,
+  );
+  // Merged rows no longer show a CSV row that was short or long
+  const issues = [
+    ...inputs.flatMap((input) =>
+      input.isCsv ? validateRowLengths(input.rows, input.filename) : [],
+    ),
+    ...summary.issues,
+  ];
+
+  return preview
+    ? { ...result, preview: { ...result.preview, files, issues } }
+    : { ...result, files, issues };
+}
+
+// Each file is exported on its own, in its own format unless `format` is
+// given. Files that cannot be exported are reported and left out.
+function zipFiles({
+  files,
+  filename,
+  format,
+  profile,
+  preview,
+  sampleSize,
+  inventoryLevels,
+  log,
+}) {
+  const taken = new Set();
+  const exports = files.map(({ file, filename: name }) => {
+    const result = createExport({
+      file,
+      filename: name,
+      format: format || formatFromFilename(name),
+      profile,
+      preview,
+      sampleSize,
+      inventoryLevels,
+      log,
+    });
+    return {
+      filename: name,
+      result,
+      summary: preview ? result.preview : result,
+      outputFilename:
+        result.success && !preview
+          ? uniqueFilename(result.filename, taken)
+          : undefined,
+    };
+  });
+
+  const succeeded = exports.filter(({ result }) => result.success);
+  if (succeeded.length === 0) {
+    return {
+      success: false,
+      error: exports
+        .map(({ filename: name, result }) => `${name}: ${result.error}`)
+        .join("; "),
+    };
+  }
+
+  const sum = (key) =>
+    succeeded.reduce((total, { summary }) => total + summary[key], 0);
+  const summary = {
+    inputRowCount: sum("inputRowCount"),
+    rowCount: sum("rowCount"),
+    removedColumns: [
+      ...new Map(
+        succeeded
+          .flatMap((entry) => entry.summary.removedColumns)
+          .map((column) => [column.header, column]),
+      ).values(),
+    ],
+    issues: succeeded.flatMap((entry) =>
+      entry.summary.issues.map((issue) => ({ file: entry.filename, ...issue })),
+    ),
+    input: null,
+    files: exports.map((entry) =>
+      entry.result.success
+        ? {
+            filename: entry.filename,
+            outputFilename: entry.outputFilename,
+            inputRowCount: entry.summary.inputRowCount,
+            rowCount: entry.summary.rowCount,
+            duplicateRowCount: 0,
+            droppedRowCount:
+              entry.summary.inputRowCount - entry.summary.rowCount,
+          }
+        : { filename: entry.filename, error: entry.result.error },
+    ),
+  };
+
+  if (preview) {
+    // The first file that can be exported stands in for the headers and
+    // sample rows
+    return {
+      success: true,
+      preview: {
+        ...succeeded[0].summary,
+        ...summary,
+        droppedRowCount: sum("droppedRowCount"),
+        droppedRows: succeeded.flatMap((entry) =>
+          entry.summary.droppedRows.map((row) => ({
+            file: entry.filename,
+            ...row,
+          })),
+        ),
+      },
+    };
+  }
+
+  return {
+    success: true,
+    filename,
+    format: "zip",
+    buffer: writeZip(
+      succeeded.map((entry) => ({
+        filename: entry.outputFilename,
+        buffer: entry.result.buffer,
+      })),
+    ),
+    ...summary,
+  };
+}
+
+// Export several uploaded files at once, either merged into one file or
+// each on its own in a zip archive (`mode`, see MULTI_FILE_MODES). `files`
+// are `{ file, filename }` as passed to createExport; `format` defaults to
+// the format of the first file when merging and of each file when zipping.
+// The result is that of createExport plus `files`, the per-file summary of
+// rows kept and dropped. `inventoryLevels` and `log` are passed on to
+// createExport.
+function createMultiFileExport({
+  files,
+  mode = "merge",
+  format,
+  profile,
+  preview = false,
+  sampleSize = 10,
+  inventoryLevels,
+  log,
+}) {
+  if (!MULTI_FILE_MODES[mode]) {
+    return { success: false, error: `Unknown multi-file mode: ${mode}` };
+  }
+  if (!files?.length) {
+    return { success: false, error: "No file provided" };
+  }
+
+  if (mode === "zip") {
+    return zipFiles({
+      files,
+      filename: "products-export.zip",
+      format,
+      profile,
+      preview,
+      sampleSize,
+      inventoryLevels,
+      log,
+    });
+  }
+
+  const inputs = [];
+  for (const { file, filename } of files) {
+    const read = readInput({ file, filename, log });
+    if (!read.success) {
+      return { success: false, error: `${filename}: ${read.error}` };
+    }
+    inputs.push({ filename, rows: read.rows, isCsv: read.isCsv });
+  }
+
+  return mergeFiles({
+    inputs,
+    filename: "merged-products",
+    format: format || formatFromFilename(files[0].filename),
+    profile,
+    preview,
+    sampleSize,
+    inventoryLevels,
+    log,
+  });
+}
+
+export { MULTI_FILE_MODES, createMultiFileExport, mergeInputs };
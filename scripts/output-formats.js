@@ -0,0 +1,158 @@
+/* eslint-env node */
+import { rowToCSV } from "./csv.js";
+import { writeWorkbook } from "./xlsx.js";
+
+// Formats an export can be written in, independent of the input format.
+// Delimited formats can also be written as a stream (see stream-export.js).
+const OUTPUT_FORMATS = {
+  csv: {
+    label: "CSV (comma)",
+    extension: "csv",
+    contentType: "text/csv; charset=utf-8",
+    delimiter: ",",
+  },
+  "csv-semicolon": {
+    label: "CSV (semicolon)",
+    extension: "csv",
+    contentType: "text/csv; charset=utf-8",
+    delimiter: ";",
+  },
+  tsv: {
+    label: "TSV",
+    extension: "tsv",
+    contentType: "text/tab-separated-values; charset=utf-8",
+    delimiter: "\t",
+  },
+  xlsx: {
+    label: "XLSX",
+    extension: "xlsx",
+    contentType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  },
+  json: {
+    label: "JSON (one record per SKU)",
+    extension: "json",
+    contentType: "application/json; charset=utf-8",
+  },
+  "json-grouped": {
+    label: "JSON (grouped by handle)",
+    extension: "json",
+    contentType: "application/json; charset=utf-8",
+  },
+  xml: {
+    label: "XML product feed",
+    extension: "xml",
+    contentType: "application/xml; charset=utf-8",
+  },
+};
+
+// Default output format for an input file: the same kind of file.
+function formatFromFilename(filename) {
+  const extension = String(filename).split(".").pop().toLowerCase();
+  return extension === "xlsx" ? "xlsx" : extension === "csv" ? "csv" : null;
+}
+
+// "products.xlsx" in, "products-export.json" out.
+function exportFilename(filename, format) {
+  const base = String(filename).replace(/\.[^.]+$/, "");
+  return `${base}-export.${OUTPUT_FORMATS[format].extension}`;
+}
+
+// Record keys of the headers. A repeated header gets its number, "Price
+// (2)", so its values are not lost.
+function recordKeys(headers) {
+  const seen = new Map();
+  return headers.map((header) => {
+    const key = String(header);
+    const count = (seen.get(key) || 0) + 1;
+    seen.set(key, count);
+    return count === 1 ? key : `${key} (${count})`;
+  });
+}
+
+function toRecords(rows) {
+  const [headers, ...data] = rows;
+  const keys = recordKeys(headers);
+  return data.map((row) =>
+    Object.fromEntries(keys.map((key, i) => [key, row[i] ?? ""])),
+  );
+}
+
+// Consecutive data rows (or their records) of the same handle form one
+// product.
+function groupByHandle(variants, handles) {
+  const products = [];
+  variants.forEach((variant, i) => {
+    const handle = handles?.[i] ?? "";
+    const last = products[products.length - 1];
+    if (last && last.handle === handle) {
+      last.variants.push(variant);
+    } else {
+      products.push({ handle, variants: [variant] });
+    }
+  });
+  return products;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// "Variant SKU" becomes <variant_sku>.
+function xmlName(header) {
+  const name = String(header)
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+  return /^[a-z_]/.test(name) ? name : `_${name}`;
+}
+
+function toXml(rows, handles) {
+  const names = rows[0].map(xmlName);
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>', "<products>"];
+
+  for (const product of groupByHandle(rows.slice(1), handles)) {
+    lines.push(`  <product handle="${escapeXml(product.handle)}">`);
+    for (const variant of product.variants) {
+      lines.push("    <variant>");
+      names.forEach((name, i) => {
+        lines.push(`      <${name}>${escapeXml(variant[i] ?? "")}</${name}>`);
+      });
+      lines.push("    </variant>");
+    }
+    lines.push("  </product>");
+  }
+
+  lines.push("</products>");
+  return lines.join("\n");
+}
+
+// Write transformed rows (header first) in an output format. `handles`
+// holds the product handle of each data row, for the grouped formats.
+function writeOutput(format, rows, { handles } = {}) {
+  const { delimiter } = OUTPUT_FORMATS[format];
+
+  if (delimiter) {
+    const text = rows.map((row) => rowToCSV(row, { delimiter })).join("\n");
+    return Buffer.from(text, "utf-8");
+  }
+  if (format === "xlsx") {
+    return writeWorkbook(rows);
+  }
+  if (format === "json") {
+    return Buffer.from(JSON.stringify(toRecords(rows), null, 2), "utf-8");
+  }
+  if (format === "json-grouped") {
+    const products = groupByHandle(toRecords(rows), handles);
+    return Buffer.from(JSON.stringify(products, null, 2), "utf-8");
+  }
+  return Buffer.from(toXml(rows, handles), "utf-8");
+}
+
+export { OUTPUT_FORMATS, exportFilename, formatFromFilename, writeOutput };
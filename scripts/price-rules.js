@@ -0,0 +1,266 @@
+/* eslint-env node */
+import { findHeader } from "./headers.js";
+import { compileCondition, createConditionMatcher } from "./row-filter.js";
+
+// Price rules, applied in order to Variant Price and Variant Compare At
+// Price:
+//
+//   markup 25%                        price × 1.25
+//   markup 2.50                       price + 2.50
+//   add vat 21%                       price × 1.21
+//   remove vat 21%                    price ÷ 1.21
+//   convert to GBP                    price × the GBP rate
+//   round to 0.05                     nearest multiple of 0.05
+//   round ending .95                  nearest price ending in .95
+//   round bankers                     2 decimals, halves to the even cent
+//   markup 10% when {Vendor} = Acme   only rows matching the condition
+//
+// Negative markups give a discount. Exchange rates come from the shop's
+// rate table (`currencyRates`, what one unit of the shop currency is worth
+// in each currency). `when` takes a row filter condition (see
+// row-filter.js), so rules can be scoped by vendor, product type or any
+// other column. Empty and non-numeric prices are left alone; the others
+// are written with two decimals. Row filters and the column mapping see
+// the transformed prices.
+
+const PRICE_COLUMNS = ["Variant Price", "Variant Compare At Price"];
+
+// Floating point noise below this is ignored when rounding.
+const EPSILON = 1e-9;
+
+function parseNumber(text, line) {
+  const number = Number(text);
+  if (text === undefined || text === "" || !Number.isFinite(number)) {
+    throw new Error(`Expected a number in ${line}`);
+  }
+  return number;
+}
+
+// Parse one price rule (without its `when` condition).
+function parsePriceRule(text) {
+  const line = String(text || "").trim();
+  const words = line.toLowerCase().split(/\s+/);
+  const percent = (word) => {
+    if (!/%$/.test(word || "")) {
+      throw new Error(`Expected a percentage in ${line}`);
+    }
+    return parseNumber(word.slice(0, -1), line);
+  };
+
+  switch (words[0]) {
+    case "markup": {
+      if (words.length !== 2) break;
+      const [, amount] = words;
+      return /%$/.test(amount || "")
+        ? { type: "markup", percent: percent(amount) }
+        : { type: "markup", amount: parseNumber(amount, line) };
+    }
+    case "add":
+    case "remove":
+      if (words[1] !== "vat" || words.length !== 3) break;
+      return { type: `${words[0]}-vat`, percent: percent(words[2]) };
+    case "convert":
+      if (words[1] !== "to" || !/^[a-z]{3}$/.test(words[2] || "")) break;
+      return { type: "convert", currency: words[2].toUpperCase() };
+    case "round":
+      if (words[1] === "to") {
+        const step = parseNumber(words[2], line);
+        if (step <= 0) throw new Error(`Step must be above 0 in ${line}`);
+        return { type: "round-to", step };
+      }
+      if (words[1] === "ending") {
+        const ending = parseNumber(words[2], line);
+        if (ending < 0 || ending >= 1) {
+          throw new Error(`Ending must be between 0 and 1 in ${line}`);
+        }
+        return { type: "round-ending", ending };
+      }
+      if (words[1] === "bankers") {
+        const decimals =
+          words[2] === undefined ? 2 : parseNumber(words[2], line);
+        if (!Number.isInteger(decimals) || decimals < 0) {
+          throw new Error(`Expected a number of decimals in ${line}`);
+        }
+        return { type: "round-bankers", decimals };
+      }
+      break;
+  }
+  throw new Error(`Unknown price rule: ${line}`);
+}
+
+function roundTo(price, step) {
+  return Math.round(price / step + EPSILON) * step;
+}
+
+// Nearest price with the given decimal ending; ties go up.
+function roundEnding(price, ending) {
+  const base = Math.floor(price);
+  const candidates = [base - 1, base, base + 1].map((whole) => whole + ending);
+  return candidates.reduce((best, candidate) =>
+    Math.abs(candidate - price) < Math.abs(best - price) + EPSILON
+      ? candidate
+      : best,
+  );
+}
+
+// Round half to even at the given decimals.
+function roundBankers(price, decimals) {
+  const factor = 10 ** decimals;
+  const scaled = price * factor;
+  const floor = Math.floor(scaled);
+  const fraction = scaled - floor;
+  let result;
+  if (Math.abs(fraction - 0.5) < EPSILON) {
+    result = floor % 2 === 0 ? floor : floor + 1;
+  } else {
+    result = Math.round(scaled);
+  }
+  return result / factor;
+}
+
+function applyRule(rule, price) {
+  switch (rule.type) {
+    case "markup":
+      return rule.percent !== undefined
+        ? price * (1 + rule.percent / 100)
+        : price + rule.amount;
+    case "add-vat":
+      return price * (1 + rule.percent / 100);
+    case "remove-vat":
+      return price / (1 + rule.percent / 100);
+    case "convert":
+      return price * rule.rate;
+    case "round-to":
+      return roundTo(price, rule.step);
+    case "round-ending":
+      return roundEnding(price, rule.ending);
+    case "round-bankers":
+      return roundBankers(price, rule.decimals);
+  }
+  return price;
+}
+
+// Parse the rules of a profile up front so a broken rule, or a currency
+// without a rate, fails early.
+function compilePriceRules(rules, currencyRates = {}) {
+  return (rules || []).map((rule) => {
+    const compiled = { ...rule, ...parsePriceRule(rule.transform) };
+    if (compiled.type === "convert") {
+      const rate = Number(currencyRates[compiled.currency]);
+      if (!(rate > 0)) {
+        throw new Error(`No exchange rate for ${compiled.currency}`);
+      }
+      compiled.rate = rate;
+    }
+    compiled.when = rule.condition ? compileCondition(rule.condition) : null;
+    return compiled;
+  });
+}
+
+// Headers of the columns that keep the original prices.
+function originalPriceHeaders(headers) {
+  return PRICE_COLUMNS.filter((name) => findHeader(headers, name) >= 0).map(
+    (name) => `Original ${name}`,
+  );
+}
+
+// Returns { headers, transform } for compiled rules. `transform` returns a
+// new row with the price rules applied and, with `keepOriginal`, the
+// original prices appended. Rows must be passed in file order.
+function createPriceTransform(headers, rules, { keepOriginal = false } = {}) {
+  const indices = PRICE_COLUMNS.map((name) => findHeader(headers, name)).filter(
+    (index) => index >= 0,
+  );
+  const scoped = rules.filter((rule) => rule.when);
+  const matcher = createConditionMatcher(
+    headers,
+    scoped.map((rule) => rule.when),
+  );
+
+  return {
+    headers: keepOriginal
+      ? [...headers, ...originalPriceHeaders(headers)]
+      : headers,
+    transform(row) {
+      const results = matcher(row);
+      const applies = new Set(scoped.filter((_, i) => results[i]));
+      const active = rules.filter((rule) => !rule.when || applies.has(rule));
+
+      const result = row.slice();
+      for (const index of indices) {
+        const text = String(row[index] ?? "").trim();
+        if (text === "" || !Number.isFinite(Number(text))) continue;
+
+        const price = active.reduce(
+          (value, rule) => applyRule(rule, value),
+          Number(text),
+        );
+        result[index] = (price + (price >= 0 ? EPSILON : -EPSILON)).toFixed(2);
+      }
+      if (keepOriginal) {
+        result.push(...indices.map((index) => row[index] ?? ""));
+      }
+      return result;
+    },
+  };
+}
+
+// Parse the "rule [when condition]" lines used to edit the rules.
+function parsePriceLines(text) {
+  return String(text || "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [transform, ...condition] = line.split(/\s+when\s+/i);
+      return {
+        transform: transform.trim(),
+        condition: condition.join(" when ").trim(),
+      };
+    });
+}
+
+function formatPriceLines(rules) {
+  return (rules || [])
+    .map((rule) =>
+      rule.condition
+        ? `${rule.transform} when ${rule.condition}`
+        : rule.transform,
+    )
+    .join("\n");
+}
+
+// Parse the "CODE = rate" lines used to edit the exchange rate table.
+function parseRateLines(text) {
+  const rates = {};
+  String(text || "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .forEach((line) => {
+      const match = /^([A-Za-z]{3})\s*=\s*(\S+)$/.exec(line);
+      const rate = Number(match?.[2]);
+      if (!match || !(rate > 0)) {
+        throw new Error(`Expected "CODE = rate" in ${line}`);
+      }
+      rates[match[1].toUpperCase()] = rate;
+    });
+  return rates;
+}
+
+function formatRateLines(rates) {
+  return Object.entries(rates || {})
+    .map(([currency, rate]) => `${currency} = ${rate}`)
+    .join("\n");
+}
+
+export {
+  PRICE_COLUMNS,
+  compilePriceRules,
+  createPriceTransform,
+  formatPriceLines,
+  formatRateLines,
+  parsePriceLines,
+  parsePriceRule,
+  parseRateLines,
+};
@@ -0,0 +1,351 @@
+/* eslint-env node */
+import { findHeader, normalizeHeader } from "./headers.js";
+import { PRODUCT_COLUMNS } from "./fill-down.js";
+
+// Row filter rules. Each rule includes or excludes the rows matching a
+// condition:
+//
+//   exclude {Status} in draft, archived
+//   exclude {Vendor} = "Acme Corp" or {Vendor} = Globex
+//   include {Variant Price} between 5 and 500
+//   exclude {Tags} has clearance and not {Type} contains sample
+//   exclude {Variant SKU} matches "^TEST-"
+//
+// A row is exported when it matches every include rule and no exclude rule.
+// Operators: = and != (ignoring case), contains, in (a comma-separated
+// list), has (one of the comma-separated tags), matches (a regular
+// expression, ignoring case) and the numeric between … and …, >, >=, < and
+// <=. `not` negates a condition. Conditions are joined with `and` or `or`,
+// not both in one rule. Values containing the words and/or, commas or
+// operator characters must be quoted.
+//
+// Product-level columns (Vendor, Type, Tags, Status, ...) are only filled
+// on the first row of a handle; their conditions read that row, so they
+// apply to all variants of the product.
+
+const ACTIONS = ["include", "exclude"];
+const LIST_OPERATORS = ["in", "has"];
+const NUMBER_OPERATORS = [">", ">=", "<", "<="];
+const WORD_OPERATORS = ["contains", "in", "has", "matches", "between"];
+const JOINERS = ["and", "or"];
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === "{") {
+      const end = text.indexOf("}", i);
+      if (end === -1) throw new Error(`Unclosed "{" in ${text}`);
+      tokens.push({ type: "field", value: text.slice(i + 1, end).trim() });
+      i = end + 1;
+    } else if (char === '"' || char === "'") {
+      let value = "";
+      i++;
+      while (i < text.length) {
+        if (text[i] === char && text[i + 1] === char) {
+          value += char;
+          i += 2;
+        } else if (text[i] === char) {
+          break;
+        } else {
+          value += text[i++];
+        }
+      }
+      if (i >= text.length) throw new Error(`Unclosed string in ${text}`);
+      tokens.push({ type: "string", value });
+      i++;
+    } else if (/^(!=|>=|<=|[=<>,])/.test(text.slice(i))) {
+      const [op] = /^(!=|>=|<=|[=<>,])/.exec(text.slice(i));
+      tokens.push({ type: "op", value: op });
+      i += op.length;
+    } else {
+      const [word] = /^[^\s{}",=<>]+/.exec(text.slice(i));
+      tokens.push({ type: "word", value: word });
+      i += word.length;
+    }
+  }
+
+  return tokens;
+}
+
+function toNumber(value) {
+  const text = String(value ?? "").trim();
+  if (text === "") return null;
+  const number = Number(text);
+  return Number.isFinite(number) ? number : null;
+}
+
+const normalize = (value) =>
+  String(value ?? "")
+    .trim()
+    .toLowerCase();
+
+// Parse the condition of a rule into { join, conditions }. Throws with a
+// readable message when it is invalid.
+function parseCondition(text) {
+  const tokens = tokenize(String(text || ""));
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isWord = (token, words) =>
+    token?.type === "word" && words.includes(token.value.toLowerCase());
+  const isOp = (token, value) => token?.type === "op" && token.value === value;
+
+  // A value is a quoted string or the words up to the next comma or joiner.
+  function value() {
+    const token = peek();
+    if (token?.type === "string") {
+      position++;
+      return token.value;
+    }
+    const words = [];
+    while (peek()?.type === "word" && !isWord(peek(), JOINERS)) {
+      words.push(tokens[position++].value);
+    }
+    if (words.length === 0) throw new Error(`Expected a value in ${text}`);
+    return words.join(" ");
+  }
+
+  function number() {
+    const result = toNumber(value());
+    if (result === null) throw new Error(`Expected a number in ${text}`);
+    return result;
+  }
+
+  function condition() {
+    let negate = false;
+    if (isWord(peek(), ["not"])) {
+      negate = true;
+      position++;
+    }
+
+    const field = tokens[position++];
+    if (field?.type !== "field") {
+      throw new Error(`Expected a {Column} in ${text}`);
+    }
+
+    const token = tokens[position++];
+    const operator =
+      token?.type === "op"
+        ? token.value
+        : isWord(token, WORD_OPERATORS)
+          ? token.value.toLowerCase()
+          : null;
+    if (!operator || operator === ",") {
+      throw new Error(`Unknown operator "${token?.value ?? ""}" in ${text}`);
+    }
+
+    const result = { column: field.value, operator, negate };
+    if (LIST_OPERATORS.includes(operator)) {
+      result.values = [value()];
+      while (isOp(peek(), ",")) {
+        position++;
+        result.values.push(value());
+      }
+    } else if (operator === "between") {
+      const min = number();
+      if (!isWord(tokens[position++], ["and"])) {
+        throw new Error(`Expected "between … and …" in ${text}`);
+      }
+      result.values = [min, number()];
+    } else if (NUMBER_OPERATORS.includes(operator)) {
+      result.values = [number()];
+    } else if (operator === "matches") {
+      const pattern = value();
+      try {
+        new RegExp(pattern, "i");
+      } catch {
+        throw new Error(`Invalid regular expression: ${pattern}`);
+      }
+      result.values = [pattern];
+    } else {
+      result.values = [value()];
+    }
+    return result;
+  }
+
+  const conditions = [condition()];
+  let join = null;
+  while (position < tokens.length) {
+    const token = tokens[position++];
+    if (!isWord(token, JOINERS)) {
+      throw new Error(`Unexpected "${token.value}" in ${text}`);
+    }
+    const next = token.value.toLowerCase();
+    if (join && join !== next) {
+      throw new Error(`Use either "and" or "or" in one rule: ${text}`);
+    }
+    join = next;
+    conditions.push(condition());
+  }
+
+  return { join: join || "and", conditions };
+}
+
+function matches(condition, cell) {
+  const { operator, values } = condition;
+  const text = normalize(cell);
+
+  switch (operator) {
+    case "=":
+      return text === normalize(values[0]);
+    case "!=":
+      return text !== normalize(values[0]);
+    case "contains":
+      return text.includes(normalize(values[0]));
+    case "in":
+      return values.some((value) => text === normalize(value));
+    case "has": {
+      const tags = text.split(",").map((tag) => tag.trim());
+      return values.some((value) => tags.includes(normalize(value)));
+    }
+    case "matches":
+      return condition.regex.test(String(cell ?? ""));
+  }
+
+  const number = toNumber(cell);
+  if (number === null) return false;
+  switch (operator) {
+    case "between":
+      return number >= values[0] && number <= values[1];
+    case ">":
+      return number > values[0];
+    case ">=":
+      return number >= values[0];
+    case "<":
+      return number < values[0];
+    case "<=":
+      return number <= values[0];
+  }
+  return false;
+}
+
+// Parse a condition and compile its regular expressions.
+function compileCondition(text) {
+  const { join, conditions } = parseCondition(text);
+  return {
+    join,
+    conditions: conditions.map((condition) =>
+      condition.operator === "matches"
+        ? { ...condition, regex: new RegExp(condition.values[0], "i") }
+        : condition,
+    ),
+  };
+}
+
+// Parse the rules of a profile up front so a broken rule fails early.
+function compileRowFilters(rules) {
+  return (rules || []).map((rule) => {
+    if (!ACTIONS.includes(rule.action)) {
+      throw new Error(`Unknown filter action "${rule.action}"`);
+    }
+    return { ...rule, ...compileCondition(rule.condition) };
+  });
+}
+
+// Returns a function that tells for each compiled condition whether a row
+// matches it. Rows must be passed in file order, so the product-level values
+// of a handle are known for its variant rows.
+function createConditionMatcher(headers, compiledConditions) {
+  const handleIndex = Math.max(findHeader(headers, "Handle"), 0);
+  const productColumns = new Set(PRODUCT_COLUMNS.map(normalizeHeader));
+  const productIndices = new Set();
+  const compiled = compiledConditions.map(({ join, conditions }) => ({
+    join,
+    conditions: conditions.map((condition) => {
+      const index = findHeader(headers, condition.column);
+      const isProduct = productColumns.has(normalizeHeader(condition.column));
+      if (isProduct && index >= 0) productIndices.add(index);
+      return { ...condition, index, isProduct };
+    }),
+  }));
+
+  let currentHandle = null;
+  let productValues = new Map();
+  const isPresent = (value) =>
+    value !== undefined && value !== null && value !== "";
+
+  return (row) => {
+    const handle = String(row[handleIndex] ?? "").trim();
+    if (handle !== currentHandle) {
+      currentHandle = handle;
+      productValues = new Map();
+    }
+    for (const index of productIndices) {
+      if (isPresent(row[index]) && !productValues.has(index)) {
+        productValues.set(index, row[index]);
+      }
+    }
+
+    const cell = ({ index, isProduct }) => {
+      if (index < 0) return "";
+      if (isProduct) return productValues.get(index) ?? "";
+      return isPresent(row[index]) ? row[index] : "";
+    };
+
+    return compiled.map(({ join, conditions }) => {
+      const results = conditions.map(
+        (condition) => matches(condition, cell(condition)) !== condition.negate,
+      );
+      return join === "or" ? results.some(Boolean) : results.every(Boolean);
+    });
+  };
+}
+
+// Returns a function that tells why a row is filtered out, or null when it
+// is kept. Rows must be passed in file order.
+function createRowFilter(headers, rules) {
+  if (!rules?.length) return () => null;
+
+  const matcher = createConditionMatcher(headers, rules);
+
+  return (row) => {
+    const results = matcher(row);
+    for (let i = 0; i < rules.length; i++) {
+      const rule = rules[i];
+      if (rule.action === "exclude" && results[i]) {
+        return `Excluded by "${rule.condition}"`;
+      }
+      if (rule.action === "include" && !results[i]) {
+        return `Not included by "${rule.condition}"`;
+      }
+    }
+    return null;
+  };
+}
+
+// Parse the "include|exclude condition" lines used to edit the rules.
+function parseFilterLines(text) {
+  return String(text || "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const match = /^(include|exclude)\s+(.+)$/i.exec(line);
+      if (!match) {
+        throw new Error(`Expected "include …" or "exclude …" in ${line}`);
+      }
+      return { action: match[1].toLowerCase(), condition: match[2].trim() };
+    });
+}
+
+function formatFilterLines(rules) {
+  return (rules || [])
+    .map((rule) => `${rule.action} ${rule.condition}`)
+    .join("\n");
+}
+
+export {
+  compileCondition,
+  compileRowFilters,
+  createConditionMatcher,
+  createRowFilter,
+  formatFilterLines,
+  parseCondition,
+  parseFilterLines,
+};
@@ -0,0 +1,355 @@
+/* eslint-env node */
+import fs from "fs";
+import { Readable, Transform } from "node:stream";
+import { pipeline } from "node:stream/promises";
+import { createRowParser, rowToCSV } from "./csv.js";
+import { detectEncoding, sniffDelimiter } from "./decode.js";
+import { findHeader } from "./headers.js";
+import { createRowValidator } from "./validate.js";
+import { compileMapping } from "./column-mapping.js";
+import { createFillDown } from "./fill-down.js";
+import { createImageGrouper } from "./images.js";
+import { createMetafieldTransform } from "./metafields.js";
+import { createRowFilter } from "./row-filter.js";
+import { createPriceTransform } from "./price-rules.js";
+import { createInventoryTransform } from "./inventory.js";
+import { OUTPUT_FORMATS, exportFilename } from "./output-formats.js";
+import { logger } from "./logger.js";
+import {
+  DEFAULT_PROFILE,
+  compileProfile,
+  planColumns,
+} from "./create-export.js";
+
+// How often (in rows) the resident set size is sampled for the peak memory
+// figure in the stats.
+const MEMORY_SAMPLE_INTERVAL = 1000;
+
+// Bytes held back at the start of a file to detect its encoding and
+// delimiter. A Windows-1252 file whose first special character comes later
+// than this is read as UTF-8.
+const SNIFF_BYTES = 64 * 1024;
+
+// Bytes in, rows out. The encoding and, unless `delimiter` is given, the
+// delimiter are detected from the start of the file and passed to
+// `onDetect`. `onBytes` receives the length of every chunk read.
+function createCsvParseStream({ delimiter, onDetect, onBytes } = {}) {
+  let sample = [];
+  let sampleLength = 0;
+  let decoder;
+  let parser;
+
+  function start(stream) {
+    const bytes = Buffer.concat(sample);
+    const { encoding, bomLength } = detectEncoding(bytes);
+    decoder = new TextDecoder(encoding);
+    const text = decoder.decode(bytes.subarray(bomLength), { stream: true });
+    const detected = {
+      encoding,
+      bom: bomLength > 0,
+      delimiter: delimiter || sniffDelimiter(text),
+    };
+    onDetect?.(detected);
+
+    parser = createRowParser((row) => stream.push(row), {
+      delimiter: detected.delimiter,
+    });
+    parser.write(text);
+    sample = null;
+  }
+
+  return new Transform({
+    readableObjectMode: true,
+    transform(chunk, encoding, callback) {
+      onBytes?.(chunk.length);
+      if (parser) {
+        parser.write(decoder.decode(chunk, { stream: true }));
+      } else {
+        sample.push(chunk);
+        sampleLength += chunk.length;
+        if (sampleLength >= SNIFF_BYTES) start(this);
+      }
+      callback();
+    },
+    flush(callback) {
+      if (!parser) start(this);
+      parser.write(decoder.decode());
+      parser.end();
+      callback();
+    },
+  });
+}
+
+// Rows in, rows out: drops the profile's columns, every data row without a
+// Variant SKU and the rows filtered out by its rules, one row at a time.
+// `onHeaders` receives the column plan once the header row has been seen;
+// validation issues are appended to `issues`. With an image mode the rows
+// of a handle are held back until the next handle starts, so its
+// image-only rows can be collected.
+// `inventoryLevels` are passed on to the stock columns, as in createExport.
+function createExportTransform(
+  rules,
+  stats,
+  onHeaders,
+  issues = [],
+  inventoryLevels,
+  log = logger,
+) {
+  let indicesToRemove = null;
+  let variantSKUIndex = -1;
+  let validator = null;
+  let mapper = null;
+  let fillDown = null;
+  let imageGrouper = null;
+  let rowFilter = null;
+  let metafieldTransform = null;
+  let priceTransform = null;
+  let inventoryTransform = null;
+
+  const sampleMemory = () => {
+    stats.peakMemoryBytes = Math.max(
+      stats.peakMemoryBytes,
+      process.memoryUsage.rss(),
+    );
+  };
+
+  // Push one complete row, dropping it when it has no SKU or is filtered out
+  function emit(stream, row) {
+    row = metafieldTransform.transform(row);
+    if (priceTransform) {
+      row = priceTransform.transform(row);
+    }
+    if (inventoryTransform) {
+      row = inventoryTransform.transform(row);
+    }
+    const excluded = rowFilter(row) || inventoryTransform?.belowMinimum(row);
+    const filtered = row.filter((_, index) => !indicesToRemove.has(index));
+    const rowSKU = filtered[variantSKUIndex]
+      ? filtered[variantSKUIndex].toString().trim()
+      : "";
+
+    if (rowSKU && !excluded) {
+      stats.outputRows++;
+      stream.push(mapper.mapRow(row, filtered));
+    }
+  }
+
+  return new Transform({
+    objectMode: true,
+    transform(row, encoding, callback) {
+      if (!indicesToRemove) {
+        validator = createRowValidator(row);
+        if (rules.fillDownColumns) {
+          fillDown = createFillDown(row, rules.fillDownColumns);
+        }
+        if (rules.images) {
+          imageGrouper = createImageGrouper(row, rules.images);
+          row = imageGrouper.headers;
+        }
+        metafieldTransform = createMetafieldTransform(
+          row,
+          rules.metafields.selections,
+          rules.metafields,
+        );
+        row = metafieldTransform.headers;
+        if (rules.prices) {
+          priceTransform = createPriceTransform(
+            row,
+            rules.prices.rules,
+            rules.prices,
+          );
+          row = priceTransform.headers;
+        }
+        if (rules.inventory) {
+          inventoryTransform = createInventoryTransform(
+            row,
+            rules.inventory,
+            inventoryLevels,
+          );
+          row = inventoryTransform.headers;
+        }
+        rowFilter = createRowFilter(row, rules.rowFilters);
+        const plan = planColumns(row, rules, log);
+        ({ indicesToRemove } = plan);
+        const headers = row.filter((_, index) => !indicesToRemove.has(index));
+        mapper = compileMapping(rules.mapping, row, headers);
+        stats.outputColumns = mapper.headers.length;
+        onHeaders?.({ ...plan, headers: mapper.headers });
+        variantSKUIndex = findHeader(headers, "Variant SKU");
+        callback(null, mapper.headers);
+        return;
+      }
+
+      stats.inputRows++;
+      if (stats.inputRows % MEMORY_SAMPLE_INTERVAL === 0) {
+        sampleMemory();
+      }
+
+      for (const issue of validator.validate(row, stats.inputRows + 1)) {
+        issues.push(issue);
+      }
+      if (fillDown) {
+        row = fillDown(row);
+      }
+
+      const ready = imageGrouper ? imageGrouper.push(row) : [row];
+      for (const completeRow of ready) {
+        emit(this, completeRow);
+      }
+      callback();
+    },
+    flush(callback) {
+      if (imageGrouper) {
+        for (const completeRow of imageGrouper.flush()) {
+          emit(this, completeRow);
+        }
+      }
+      sampleMemory();
+      callback();
+    },
+  });
+}
+
+// Rows in, CSV text out. Rows are newline-separated without a trailing
+// newline, like the buffered writer in createExport.
+function createCsvStringifyStream(options) {
+  let first = true;
+
+  return new Transform({
+    writableObjectMode: true,
+    transform(row, encoding, callback) {
+      const line = rowToCSV(row, options);
+      callback(null, first ? line : `\n${line}`);
+      first = false;
+    },
+  });
+}
+
+// Streaming counterpart of createExport for CSV files. `input` and `output`
+// are streams or file paths; the file is parsed, filtered and written
+// incrementally so no full row array is ever held in memory. Only the
+// delimited output formats (CSV, semicolon CSV, TSV) can be streamed.
+// `onProgress` receives the stats, with the bytes read so far, after every
+// chunk of input; aborting `signal` stops the export. Progress goes to
+// `log`, as in createExport.
+async function createStreamingExport({
+  input,
+  output,
+  filename,
+  format = "csv",
+  profile = DEFAULT_PROFILE,
+  inventoryLevels,
+  onProgress,
+  signal,
+  log = logger,
+}) {
+  if (!input) {
+    return { success: false, error: "No file provided" };
+  }
+  if (!filename.toLowerCase().endsWith(".csv")) {
+    return { success: false, error: "Unsupported file format" };
+  }
+  const delimiter = OUTPUT_FORMATS[format]?.delimiter;
+  if (!delimiter) {
+    return { success: false, error: `Cannot stream ${format} output` };
+  }
+
+  let rules;
+  try {
+    rules = compileProfile(profile);
+  } catch (error) {
+    return { success: false, error: `Invalid profile: ${error.message}` };
+  }
+
+  const stats = {
+    inputBytes: 0,
+    inputRows: 0,
+    outputRows: 0,
+    outputColumns: 0,
+    durationMs: 0,
+    rowsPerSecond: 0,
+    peakMemoryBytes: process.memoryUsage.rss(),
+  };
+  const startedAt = Date.now();
+  let removedColumns = [];
+  let detected = null;
+  const issues = [];
+
+  const source =
+    typeof input === "string"
+      ? fs.createReadStream(input)
+      : input instanceof Readable
+        ? input
+        : Readable.from(input);
+  const destination =
+    typeof output === "string" ? fs.createWriteStream(output) : output;
+
+  try {
+    await pipeline(
+      source,
+      createCsvParseStream({
+        onDetect: (result) => {
+          detected = result;
+        },
+        onBytes: (length) => {
+          stats.inputBytes += length;
+          onProgress?.(stats);
+        },
+      }),
+      createExportTransform(
+        rules,
+        stats,
+        (plan) => {
+          removedColumns = plan.removedColumns;
+        },
+        issues,
+        inventoryLevels,
+        log,
+      ),
+      createCsvStringifyStream({ delimiter }),
+      destination,
+      { signal },
+    );
+  } catch (error) {
+    if (signal?.aborted) log.info("Streaming export aborted", { filename });
+    else log.error("Streaming export failed", { filename, error });
+    return { success: false, error: error.message };
+  }
+
+  if (stats.outputColumns === 0) {
+    log.warn("No data to export", { filename });
+    return { success: false, error: "No data to export" };
+  }
+
+  stats.durationMs = Date.now() - startedAt;
+  stats.rowsPerSecond = Math.round(
+    (stats.inputRows / Math.max(stats.durationMs, 1)) * 1000,
+  );
+
+  const outputFilename = exportFilename(filename, format);
+  log.info("Streamed export", {
+    filename: outputFilename,
+    inputRowCount: stats.inputRows,
+    rowCount: stats.outputRows,
+    durationMs: stats.durationMs,
+  });
+
+  return {
+    success: true,
+    filename: outputFilename,
+    format,
+    rowCount: stats.outputRows,
+    inputRowCount: stats.inputRows,
+    removedColumns,
+    issues,
+    input: detected,
+    stats,
+  };
+}
+
+export {
+  createCsvParseStream,
+  createCsvStringifyStream,
+  createExportTransform,
+  createStreamingExport,
+};
@@ -0,0 +1,282 @@
+/* eslint-env node */
+import { createExport } from "./create-export.js";
+import { findHeader } from "./headers.js";
+import { writeZip } from "./xlsx.js";
+
+// Product translations from Shopify's translatable resources, keyed by the
+// translation key Shopify uses and mapped to the column it fills.
+const TRANSLATED_COLUMNS = {
+  title: "Title",
+  body_html: "Body (HTML)",
+  product_type: "Type",
+  meta_title: "SEO Title",
+  meta_description: "SEO Description",
+};
+
+// Ways to export more than one language.
+const LOCALE_MODES = {
+  columns: "Extra columns per language",
+  files: "One file per language, zipped",
+};
+
+// Lists, per row, the translations that fell back to the primary language.
+const MISSING_TRANSLATIONS_HEADER = "Missing Translations";
+
+function translatedHeader(header, locale) {
+  return `${header} [${locale}]`;
+}
+
+// Add one page of translatable PRODUCT resources, each with
+// `translatableContent` and the `translations` for `locale`, to a
+// Map<handle, { [locale]: { [column]: value } }>.
+function collectTranslations(resources, locale, translations = new Map()) {
+  for (const resource of resources) {
+    const handle = resource.translatableContent.find(
+      (content) => content.key === "handle",
+    )?.value;
+    if (!handle) continue;
+
+    const values = {};
+    for (const translation of resource.translations) {
+      const column = TRANSLATED_COLUMNS[translation.key];
+      if (column && translation.value) values[column] = translation.value;
+    }
+    if (!translations.has(handle)) translations.set(handle, {});
+    translations.get(handle)[locale] = values;
+  }
+  return translations;
+}
+
+// The distinct product handles of `rows` (header first), whose translations
+// an export needs.
+function productHandles(rows) {
+  const handleIndex = Math.max(findHeader(rows[0] || [], "Handle"), 0);
+  const handles = new Set();
+  for (const row of rows.slice(1)) {
+    const handle = String(row[handleIndex] ?? "").trim();
+    if (handle) handles.add(handle);
+  }
+  return [...handles];
+}
+
+// Translate the product columns of `rows` (header first) into `locales`.
+// By default a "Title [fr]"-style column is appended per locale and column;
+// with `replace` the single locale overwrites the columns themselves. A
+// translation that is missing falls back to the primary language, and every
+// row of that product lists what is missing in a "Missing Translations"
+// column. Returns { rows, headers, missing }, `headers` being the columns
+// added and `missing` the handles of the products with a fallback.
+function translateRows(rows, translations, { locales, replace = false }) {
+  const headers = rows[0] || [];
+  const handleIndex = Math.max(findHeader(headers, "Handle"), 0);
+  const columns = Object.values(TRANSLATED_COLUMNS)
+    .map((column) => ({ column, index: findHeader(headers, column) }))
+    .filter(({ index }) => index >= 0);
+
+  // The primary values of a product are on the first row that has them
+  const primary = new Map();
+  for (const row of rows.slice(1)) {
+    const handle = String(row[handleIndex] ?? "").trim();
+    if (!primary.has(handle)) primary.set(handle, {});
+    const values = primary.get(handle);
+    for (const { column, index } of columns) {
+      if (!values[column] && String(row[index] ?? "").trim()) {
+        values[column] = row[index];
+      }
+    }
+  }
+
+  const missing = new Map();
+  for (const [handle, values] of primary) {
+    const gaps = locales
+      .map((locale) => {
+        const translated = translations.get(handle)?.[locale] || {};
+        const columnGaps = columns
+          .map(({ column }) => column)
+          .filter((column) => values[column] && !translated[column]);
+        return columnGaps.length ? `${locale}: ${columnGaps.join(", ")}` : "";
+      })
+      .filter(Boolean);
+    if (gaps.length) missing.set(handle, gaps.join("; "));
+  }
+
+  const added = replace
+    ? [MISSING_TRANSLATIONS_HEADER]
+    : [
+        ...locales.flatMap((locale) =>
+          columns.map(({ column }) => translatedHeader(column, locale)),
+        ),
+        MISSING_TRANSLATIONS_HEADER,
+      ];
+
+  const translate = (row, handle, locale, { column, index }) => {
+    const value = row[index];
+    if (!String(value ?? "").trim()) return value ?? "";
+    return translations.get(handle)?.[locale]?.[column] || value;
+  };
+
+  const translatedRows = rows.slice(1).map((row) => {
+    const handle = String(row[handleIndex] ?? "").trim();
+    const result = row.slice();
+    while (result.length < headers.length) result.push("");
+    if (replace) {
+      for (const column of columns) {
+        result[column.index] = translate(row, handle, locales[0], column);
+      }
+    } else {
+      for (const locale of locales) {
+        for (const column of columns) {
+          result.push(translate(row, handle, locale, column));
+        }
+      }
+    }
+    result.push(missing.get(handle) || "");
+    return result;
+  });
+
+  return {
+    rows: [[...headers, ...added], ...translatedRows],
+    headers: added,
+    missing: new Set(missing.keys()),
+  };
+}
+
+// Name a file after its language: products.csv -> products-fr.csv.
+function localeFilename(filename, locale) {
+  return filename.replace(/(\.[^.]+)?$/, `-${locale}$1`);
+}
+
+// createExport for a translated export. `translations` comes from
+// collectTranslations, `locales` are the languages to add and `mode` is one
+// of LOCALE_MODES. "files" exports the primary language and each locale on
+// their own and zips them; "columns" adds the translated columns to one
+// file. The added columns are never removed by the profile. The result is
+// that of createExport plus `missingTranslationCount`, and `files` for one
+// file per language. `inventoryLevels` and `log` are passed on to
+// createExport.
+function createTranslatedExport({
+  rows,
+  filename,
+  format,
+  profile,
+  preview = false,
+  sampleSize = 10,
+  translations,
+  locales,
+  primaryLocale,
+  mode = "columns",
+  inventoryLevels,
+  log,
+}) {
+  if (!LOCALE_MODES[mode]) {
+    return { success: false, error: `Unknown language mode: ${mode}` };
+  }
+
+  const exportRows = (translated, name) =>
+    createExport({
+      rows: translated.rows,
+      filename: name,
+      format,
+      profile: {
+        ...profile,
+        keepColumns: [...(profile.keepColumns || []), ...translated.headers],
+      },
+      preview,
+      sampleSize,
+      inventoryLevels,
+      log,
+    });
+
+  if (mode === "columns") {
+    const translated = translateRows(rows, translations, { locales });
+    const result = exportRows(translated, filename);
+    if (!result.success) return result;
+
+    const missingTranslationCount = translated.missing.size;
+    return preview
+      ? { ...result, preview: { ...result.preview, missingTranslationCount } }
+      : { ...result, missingTranslationCount };
+  }
+
+  const exports = [
+    {
+      locale: primaryLocale,
+      result: createExport({
+        rows,
+        filename: localeFilename(filename, primaryLocale),
+        format,
+        profile,
+        preview,
+        sampleSize,
+        inventoryLevels,
+        log,
+      }),
+      missing: new Set(),
+    },
+    ...locales.map((locale) => {
+      const translated = translateRows(rows, translations, {
+        locales: [locale],
+        replace: true,
+      });
+      return {
+        locale,
+        result: exportRows(translated, localeFilename(filename, locale)),
+        missing: translated.missing,
+      };
+    }),
+  ];
+
+  const failed = exports.find(({ result }) => !result.success);
+  if (failed) return failed.result;
+
+  const summaries = exports.map(({ result }) =>
+    preview ? result.preview : result,
+  );
+  const missingTranslationCount = new Set(
+    exports.flatMap((entry) => [...entry.missing]),
+  ).size;
+  const files = exports.map((entry, i) => ({
+    filename: `${filename} [${entry.locale}]`,
+    outputFilename: preview ? undefined : entry.result.filename,
+    inputRowCount: summaries[i].inputRowCount,
+    rowCount: summaries[i].rowCount,
+    duplicateRowCount: 0,
+    droppedRowCount: summaries[i].inputRowCount - summaries[i].rowCount,
+  }));
+
+  if (preview) {
+    // The first translated language stands in for the headers and rows
+    return {
+      success: true,
+      preview: { ...summaries[1], files, missingTranslationCount },
+    };
+  }
+
+  // Every language has the same rows, so the primary export's counts and
+  // issues stand for all of them
+  const [primary] = exports;
+  return {
+    ...primary.result,
+    filename: `${filename.replace(/\.[^.]+$/, "")}-export.zip`,
+    format: "zip",
+    buffer: writeZip(
+      exports.map(({ result }) => ({
+        filename: result.filename,
+        buffer: result.buffer,
+      })),
+    ),
+    data: undefined,
+    files,
+    missingTranslationCount,
+  };
+}
+
+export {
+  LOCALE_MODES,
+  MISSING_TRANSLATIONS_HEADER,
+  TRANSLATED_COLUMNS,
+  collectTranslations,
+  createTranslatedExport,
+  productHandles,
+  translateRows,
+};
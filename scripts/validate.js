@@ -0,0 +1,202 @@
+/* eslint-env node */
+import { rowToCSV } from "./csv.js";
+import { findHeader } from "./headers.js";
+import { PRICE_COLUMNS } from "./price-rules.js";
+
+// Columns that only carry a value on rows describing a variant. Rows
+// without any of them are Shopify's image-only rows and need no SKU.
+const VARIANT_COLUMNS = ["Option1 Value", "Variant Price", "Variant Barcode"];
+
+const ISSUE_HEADERS = ["Row", "Handle", "Column", "Severity", "Message"];
+// Issues of rows merged from several files also name the file.
+const FILE_ISSUE_HEADERS = ["File", ...ISSUE_HEADERS];
+
+function isNumeric(value) {
+  return /^-?\d+(\.\d+)?$/.test(value);
+}
+
+// GS1 check digit for GTIN-8/12/13/14 barcodes.
+function hasValidCheckDigit(digits) {
+  let sum = 0;
+  for (let i = digits.length - 2, weight = 3; i >= 0; i--) {
+    sum += Number(digits[i]) * weight;
+    weight = weight === 3 ? 1 : 3;
+  }
+  return (10 - (sum % 10)) % 10 === Number(digits[digits.length - 1]);
+}
+
+function barcodeProblem(barcode) {
+  if (!/^\d+$/.test(barcode)) {
+    return "Barcode contains characters other than digits";
+  }
+  if (![8, 12, 13, 14].includes(barcode.length)) {
+    return `Barcode has ${barcode.length} digits, expected 8, 12, 13 or 14`;
+  }
+  if (!hasValidCheckDigit(barcode)) {
+    return "Barcode check digit is invalid";
+  }
+  return null;
+}
+
+// Row-by-row validator for the original (unfiltered) rows of an export.
+// `validate` returns the issues found on one data row; state such as the
+// SKUs seen so far is kept between calls. Row numbers are 1-based with the
+// header on row 1; rows merged from several files pass the `file` they came
+// from as well. `checkRowLength` is off for XLSX, where trailing empty cells
+// are simply missing.
+function createRowValidator(headers, { checkRowLength = true } = {}) {
+  const index = (name) => findHeader(headers, name);
+  const handleIndex = Math.max(index("Handle"), 0);
+  const skuIndex = index("Variant SKU");
+  const barcodeIndex = index("Variant Barcode");
+  const priceIndices = PRICE_COLUMNS.map(index);
+  const variantIndices = VARIANT_COLUMNS.map(index).filter((i) => i >= 0);
+  const seenSKUs = new Map();
+
+  const cell = (row, i) =>
+    i >= 0 && row[i] !== undefined && row[i] !== null
+      ? String(row[i]).trim()
+      : "";
+
+  function validate(row, rowNumber, file) {
+    const issues = [];
+    // XLSX sheets can contain fully blank rows
+    if (row.every((_, i) => !cell(row, i))) {
+      return issues;
+    }
+
+    const handle = cell(row, handleIndex);
+    const issue = (column, severity, message) =>
+      issues.push({
+        ...(file ? { file } : {}),
+        rowNumber,
+        handle,
+        column,
+        severity,
+        message,
+      });
+
+    if (checkRowLength && row.length !== headers.length) {
+      issue(
+        "",
+        "error",
+        `Row has ${row.length} fields, the header has ${headers.length}`,
+      );
+    }
+
+    if (!handle) {
+      issue("Handle", "error", "Handle is empty");
+    }
+
+    const sku = cell(row, skuIndex);
+    if (sku) {
+      if (seenSKUs.has(sku)) {
+        const first = seenSKUs.get(sku);
+        const where =
+          first.file && first.file !== file
+            ? `row ${first.rowNumber} of ${first.file}`
+            : `row ${first.rowNumber}`;
+        issue(
+          "Variant SKU",
+          "error",
+          `Duplicate SKU "${sku}" (first on ${where})`,
+        );
+      } else {
+        seenSKUs.set(sku, { rowNumber, file });
+      }
+    } else if (variantIndices.some((i) => cell(row, i))) {
+      issue("Variant SKU", "warning", "Variant has no SKU and is dropped");
+    }
+
+    priceIndices.forEach((i, n) => {
+      const price = cell(row, i);
+      if (price && !isNumeric(price)) {
+        issue(PRICE_COLUMNS[n], "error", `"${price}" is not a valid price`);
+      }
+    });
+
+    const barcode = cell(row, barcodeIndex);
+    const problem = barcode && barcodeProblem(barcode);
+    if (problem) {
+      issue("Variant Barcode", "warning", problem);
+    }
+
+    return issues;
+  }
+
+  return { validate };
+}
+
+// Validate all data rows of a parsed file (header first). For rows merged
+// from several files, `origins[i]` is the `{ file, rowNumber }` row i came
+// from.
+function validateRows(rows, { origins, ...options } = {}) {
+  if (rows.length === 0) return [];
+
+  const validator = createRowValidator(rows[0], options);
+  const issues = [];
+  for (let i = 1; i < rows.length; i++) {
+    issues.push(
+      ...(origins
+        ? validator.validate(rows[i], origins[i].rowNumber, origins[i].file)
+        : validator.validate(rows[i], i + 1)),
+    );
+  }
+  return issues;
+}
+
+// Row length issues of a CSV file (header first) whose rows are merged with
+// other files before validation, which leaves every row as wide as the
+// merged header.
+function validateRowLengths(rows, file) {
+  const headers = rows[0] || [];
+  const handleIndex = Math.max(findHeader(headers, "Handle"), 0);
+  const issues = [];
+
+  for (let i = 1; i < rows.length; i++) {
+    const row = rows[i];
+    const isBlank = row.every((value) => !String(value ?? "").trim());
+    if (isBlank || row.length === headers.length) continue;
+
+    issues.push({
+      file,
+      rowNumber: i + 1,
+      handle: String(row[handleIndex] ?? "").trim(),
+      column: "",
+      severity: "error",
+      message: `Row has ${row.length} fields, the header has ${headers.length}`,
+    });
+  }
+  return issues;
+}
+
+function countIssues(issues) {
+  return {
+    error: issues.filter((issue) => issue.severity === "error").length,
+    warning: issues.filter((issue) => issue.severity === "warning").length,
+  };
+}
+
+function issuesToCSV(issues) {
+  const withFile = issues.some((issue) => issue.file);
+  const rows = issues.map((issue) => [
+    ...(withFile ? [issue.file || ""] : []),
+    issue.rowNumber,
+    issue.handle,
+    issue.column,
+    issue.severity,
+    issue.message,
+  ]);
+
+  return [withFile ? FILE_ISSUE_HEADERS : ISSUE_HEADERS, ...rows]
+    .map((row) => rowToCSV(row))
+    .join("\n");
+}
+
+export {
+  countIssues,
+  createRowValidator,
+  issuesToCSV,
+  validateRowLengths,
+  validateRows,
+};
@@ -0,0 +1,204 @@
+/* eslint-env node */
+import * as XLSX from "xlsx";
+import { findHeader, sameHeader } from "./headers.js";
+
+// Columns read and written as text, so long barcodes do not turn into
+// 8.71235E+12 and leading zeros survive.
+const IDENTIFIER_COLUMNS = ["Handle", "Variant SKU", "Variant Barcode"];
+
+// The zip container used by SheetJS. The ESM build exports it by name, the
+// CommonJS build Node loads only on its default export.
+const CFB = XLSX.CFB || XLSX.default?.CFB;
+
+// Widest column written, in characters.
+const MAX_COLUMN_WIDTH = 60;
+// Rows looked at to size the columns.
+const WIDTH_SAMPLE_ROWS = 1000;
+
+function cellValue(cell) {
+  if (!cell || cell.v === undefined || cell.v === null || cell.t === "e") {
+    return "";
+  }
+  return cell.v;
+}
+
+function cellText(cell) {
+  if (cell?.t === "n") {
+    // A format such as 0000000000000 keeps the leading zeros in the text
+    if (cell.w && /^\d+$/.test(cell.w)) return cell.w;
+    return String(cell.v);
+  }
+  return String(cellValue(cell));
+}
+
+// All rows of a worksheet, header first. Every row has a cell for every
+// column of the sheet's range (empty ones are ""), so columns stay aligned
+// where a row has gaps. Identifier columns are read as text.
+function readSheetRows(worksheet) {
+  if (!worksheet?.["!ref"]) return [];
+
+  const range = XLSX.utils.decode_range(worksheet["!ref"]);
+  const cell = (r, c) => worksheet[XLSX.utils.encode_cell({ r, c })];
+
+  const headers = [];
+  for (let c = range.s.c; c <= range.e.c; c++) {
+    headers.push(cellText(cell(range.s.r, c)));
+  }
+  const textColumns = new Set(
+    IDENTIFIER_COLUMNS.map((name) => findHeader(headers, name)).filter(
+      (index) => index >= 0,
+    ),
+  );
+
+  const rows = [headers];
+  for (let r = range.s.r + 1; r <= range.e.r; r++) {
+    const row = [];
+    for (let c = range.s.c; c <= range.e.c; c++) {
+      const i = c - range.s.c;
+      row.push(
+        textColumns.has(i) ? cellText(cell(r, c)) : cellValue(cell(r, c)),
+      );
+    }
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Rows of an uploaded workbook. `sheet` names the sheet to read (the first
+// by default). With `mergeSheets` every sheet whose header row matches the
+// first sheet's is appended; the others are listed in `skippedSheets`.
+function readWorkbookRows(buffer, { sheet, mergeSheets = false } = {}) {
+  const workbook = XLSX.read(buffer, { type: "buffer" });
+  const sheets = workbook.SheetNames;
+
+  if (!mergeSheets) {
+    const name = sheet || sheets[0];
+    if (!sheets.includes(name)) {
+      throw new Error(`Sheet "${name}" not found`);
+    }
+    return {
+      rows: readSheetRows(workbook.Sheets[name]),
+      sheets,
+      usedSheets: [name],
+      skippedSheets: [],
+    };
+  }
+
+  let rows = [];
+  const usedSheets = [];
+  const skippedSheets = [];
+  for (const name of sheets) {
+    const sheetRows = readSheetRows(workbook.Sheets[name]);
+    if (sheetRows.length === 0) {
+      skippedSheets.push({ name, reason: "Empty sheet" });
+    } else if (rows.length === 0) {
+      rows = sheetRows;
+      usedSheets.push(name);
+    } else if (
+      sheetRows[0].length === rows[0].length &&
+      sheetRows[0].every((header, i) => sameHeader(header, rows[0][i]))
+    ) {
+      rows.push(...sheetRows.slice(1));
+      usedSheets.push(name);
+    } else {
+      skippedSheets.push({
+        name,
+        reason: "Headers differ from the first sheet",
+      });
+    }
+  }
+
+  return { rows, sheets, usedSheets, skippedSheets };
+}
+
+// Freeze the header row. The community build of SheetJS cannot write
+// panes, so the sheet XML inside the written file is patched.
+function freezeHeaderRow(buffer) {
+  const zip = CFB.read(buffer, { type: "buffer" });
+  const index = zip.FullPaths.findIndex((path) =>
+    path.endsWith("xl/worksheets/sheet1.xml"),
+  );
+  if (index < 0) return buffer;
+
+  const entry = zip.FileIndex[index];
+  const xml = Buffer.from(entry.content)
+    .toString("utf-8")
+    .replace(
+      /<sheetView ([^>]*?)\/>/,
+      '<sheetView $1><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView>',
+    );
+  entry.content = Buffer.from(xml, "utf-8");
+
+  return CFB.write(zip, {
+    fileType: "zip",
+    type: "buffer",
+    compression: true,
+  });
+}
+
+// Write rows (header first) as a single-sheet workbook with sized columns,
+// a frozen header row and an autofilter. Identifier columns are stored as
+// text.
+function writeWorkbook(rows, sheetName = "Export") {
+  const headers = rows[0].map(String);
+  const textColumns = IDENTIFIER_COLUMNS.map((name) =>
+    findHeader(headers, name),
+  ).filter((index) => index >= 0);
+
+  const worksheet = XLSX.utils.aoa_to_sheet(
+    rows.map((row, r) =>
+      r === 0
+        ? row
+        : row.map((value, c) =>
+            textColumns.includes(c) && value !== "" ? String(value) : value,
+          ),
+    ),
+  );
+
+  for (const c of textColumns) {
+    for (let r = 1; r < rows.length; r++) {
+      const cell = worksheet[XLSX.utils.encode_cell({ r, c })];
+      if (cell) cell.z = "@";
+    }
+  }
+
+  worksheet["!cols"] = headers.map((header, c) => {
+    let width = header.length;
+    for (let r = 1; r < Math.min(rows.length, WIDTH_SAMPLE_ROWS); r++) {
+      const value = rows[r][c];
+      if (value !== undefined && value !== null) {
+        width = Math.max(width, String(value).length);
+      }
+    }
+    return { wch: Math.min(width + 2, MAX_COLUMN_WIDTH) };
+  });
+
+  if (worksheet["!ref"]) {
+    worksheet["!autofilter"] = { ref: worksheet["!ref"] };
+  }
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, worksheet, sheetName);
+  const buffer = XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
+
+  return freezeHeaderRow(buffer);
+}
+
+// Pack `{ filename, buffer }` files into one zip archive, reusing the zip
+// writer SheetJS ships with.
+function writeZip(files) {
+  const zip = CFB.utils.cfb_new();
+  for (const { filename, buffer } of files) {
+    CFB.utils.cfb_add(zip, filename, buffer);
+  }
+
+  return CFB.write(zip, { fileType: "zip", type: "buffer", compression: true });
+}
+
+export {
+  IDENTIFIER_COLUMNS,
+  readSheetRows,
+  readWorkbookRows,
+  writeWorkbook,
+  writeZip,
+};